@@ -1,9 +1,26 @@
 // Archaeological Site Mapping Application - Main JavaScript
+
+// Backend request failure; kind is 'timeout', 'network', 'http', 'server' or 'cancelled'
+class RequestError extends Error {
+    constructor(message, kind, status = null) {
+        super(message);
+        this.name = 'RequestError';
+        this.kind = kind;
+        this.status = status;
+    }
+
+    get isTransient() {
+        return this.kind === 'timeout' || this.kind === 'network' ||
+            (this.kind === 'http' && (this.status >= 500 || this.status === 429));
+    }
+}
+
 class ArchaeologicalMapper {
     constructor() {
         this.map = null;
         this.currentImage = null;
         this.selectedFile = null;
+        this.selectedGeoreference = null;
         this.processingResults = {
             segmentation: null,
             detection: null,
@@ -11,25 +28,129 @@ class ArchaeologicalMapper {
         };
         this.imageOverlay = null;
         this.artifactsLayer = null;
+        this.annotationsLayer = null;
+        this.pendingAnnotation = null;
+        this.confidenceThreshold = 0;
+        this.review = null;
+        this.heatmapLayer = null;
+        this.clusterLayer = null;
+        this.heatmapOptions = { radius: 25, weight: 'confidence' };
+        this.chartHighlight = null;
+        this.comparison = null;
+        this.measurementsLayer = null;
+        this.measurements = [];
+        this.activeMeasurement = null;
+        this.grid = null;
+        this.gridLayer = null;
+        this.gridOriginPick = null;
+        this.ruinsSampler = null;
         this.segmentationLayer = null;
+        this.segmentationMaskToken = 0;
+        this.baseLayer = null;
         this.isOnline = false;
         
         // Backend URLs - FIXED FOR YOUR BACKEND
         this.isProduction = window.location.hostname !== 'localhost' && 
                            window.location.hostname !== '127.0.0.1';
-        this.baseUrl = this.isProduction 
-            ? "https://archaeological-backend.onrender.com" 
-            : "http://localhost:5000";
-        
-        // API Endpoints based on your backend structure
-        this.endpoints = {
-            upload: "/api/real/upload",      // CHANGED from /api/upload
-            segment: "/api/real/segment",    // CHANGED from /api/segment
-            detect: "/api/real/detect",      // CHANGED from /api/detect
-            status: "/"
+        
+        // Defaults for everything the Settings panel can override
+        this.defaultSettings = {
+            baseUrl: this.isProduction 
+                ? "https://archaeological-backend.onrender.com" 
+                : "http://localhost:5000",
+            
+            // API Endpoints based on your backend structure
+            endpoints: {
+                upload: "/api/real/upload",      // CHANGED from /api/upload
+                segment: "/api/real/segment",    // CHANGED from /api/segment
+                detect: "/api/real/detect",      // CHANGED from /api/detect
+                status: "/",
+                health: "/api/health",
+                chunkedUpload: "/api/real/upload/chunked"
+            },
+            connectionMode: 'auto',
+            overlayOpacity: 0.8,
+            mapCenter: [29.9765, 31.1325],
+            mapZoom: 12,
+            measureUnits: 'm',
+            screenDpi: 96,
+            
+            // Applied to images before they are sent to the backend
+            preprocess: {
+                enabled: true,
+                maxDimension: 8192,
+                format: 'auto',
+                quality: 0.92,
+                stripLocation: true,
+                tiling: false,
+                tileSize: 2048,
+                tileOverlap: 256
+            }
+        };
+        this.settingsKey = 'archaeoai-settings';
+        this.settings = this.loadSettings();
+        this.baseUrl = this.settings.baseUrl;
+        this.endpoints = { ...this.settings.endpoints };
+        
+        // Backend health polling; intervals in ms
+        this.health = {
+            timer: null,
+            checking: false,
+            onlineInterval: 30000,
+            offlineInterval: 15000,
+            timeout: 20000,
+            latency: null,
+            version: null,
+            lastChecked: null,
+            hasHealthEndpoint: true
+        };
+        
+        // Request timeouts (ms) and retry policy for backend calls
+        this.requestConfig = {
+            timeout: 60000,
+            uploadTimeout: 300000,
+            retries: 3,
+            backoffBase: 1000,
+            backoffMax: 15000,
+            
+            // Files above the threshold are sent in resumable chunks
+            chunkThreshold: 16 * 1024 * 1024,
+            chunkSize: 8 * 1024 * 1024,
+            chunkIntegrityRetries: 3
+        };
+        this.uploadSessionsKey = 'archaeoai-upload-sessions';
+        this.activeOperation = null;
+        
+        // Segmentation classes; ids match the per-pixel mask, colors match the map legend
+        this.segmentationClasses = [
+            { id: 1, key: 'ruins', label: 'Ancient Ruins', color: [255, 120, 0] },
+            { id: 2, key: 'vegetation', label: 'Vegetation Areas', color: [0, 204, 0] },
+            { id: 3, key: 'water', label: 'Water Bodies', color: [52, 152, 219] }
+        ];
+        this.segmentationOpacity = 0.6;
+        
+        // Project history (IndexedDB)
+        this.historyDB = null;
+        this.currentProjectId = null;
+        this.historySaveQueue = Promise.resolve();
+        
+        // Batch processing queue
+        this.batch = {
+            items: [],
+            nextId: 1,
+            running: 0,
+            paused: true,
+            concurrency: 2,
+            maxAttempts: 3
         };
         
+        // Web Workers for offline analysis, created on first use
+        this.workers = {};
+        this.workerTaskId = 0;
+        
         this.imageBounds = null;
+        this.imageSize = null;
+        this.georef = null;
         this.isProcessing = false;
         this.isUploading = false;
         this.runningAllProcess = false;
@@ -40,7 +161,7 @@ class ArchaeologicalMapper {
     initApp() {
         this.initMap();
         this.initEventListeners();
-        this.checkBackendStatus();
+        this.startHealthMonitor();
         console.log("ArchaeoAI Mapper initialized successfully");
         console.log("Backend URL:", this.baseUrl);
         console.log("API Endpoints:", this.endpoints);
@@ -50,25 +171,28 @@ class ArchaeologicalMapper {
     initMap() {
         try {
             this.map = L.map('map', {
-                center: [29.9765, 31.1325],
-                zoom: 12,
+                center: this.settings.mapCenter,
+                zoom: this.settings.mapZoom,
                 zoomControl: true,
                 attributionControl: true
             });
 
             // Add base layer
-            L.tileLayer(
-                'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
-                {
-                    attribution: '© Esri',
-                    maxZoom: 19
-                }
-            ).addTo(this.map);
+            this.baseLayer = this.createBaseLayer().addTo(this.map);
 
-            // Update scale
-            this.map.on('zoomend', () => {
+            this.initAnnotationTools();
+            this.initMeasureTools();
+            
+            // Scale depends on latitude, so it changes with every pan as well as zoom
+            this.scaleControl = new (L.Control.extend({
+                options: { position: 'bottomleft' },
+                onAdd: () => L.DomUtil.create('div', 'map-scale-bar')
+            }))().addTo(this.map);
+            
+            this.map.on('move zoom resize', () => {
                 this.updateMapScale();
             });
+            this.updateMapScale();
 
             console.log("Map initialized successfully");
 
@@ -78,44 +202,167 @@ class ArchaeologicalMapper {
         }
     }
 
+    createBaseLayer() {
+        return L.tileLayer(
+            'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+            {
+                attribution: '© Esri',
+                maxZoom: 19
+            }
+        );
+    }
+    
+    // Backend Health Methods
+    startHealthMonitor() {
+        // Check straight away when the tab or the network comes back
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) {
+                this.checkBackendStatus();
+            }
+        });
+        window.addEventListener('online', () => this.checkBackendStatus());
+        window.addEventListener('offline', () => this.checkBackendStatus());
+        
+        this.checkBackendStatus();
+    }
+
+    scheduleHealthCheck() {
+        clearTimeout(this.health.timer);
+        
+        // Poll less often while connected; a cold-starting backend needs retries sooner
+        const interval = this.isOnline ? this.health.onlineInterval : this.health.offlineInterval;
+        this.health.timer = setTimeout(() => {
+            if (document.hidden) {
+                this.scheduleHealthCheck();
+            } else {
+                this.checkBackendStatus();
+            }
+        }, interval);
+    }
+
     async checkBackendStatus() {
+        if (this.health.checking) {
+            return this.isOnline;
+        }
+        
+        // Forced offline mode never contacts the backend
+        if (this.settings.connectionMode === 'offline') {
+            clearTimeout(this.health.timer);
+            this.isOnline = false;
+            this.health.latency = null;
+            this.updateBackendStatusUI(false);
+            return false;
+        }
+        
+        this.health.checking = true;
+        const wasOnline = this.isOnline;
+        const firstCheck = this.health.lastChecked === null;
+        
+        if (!wasOnline && !firstCheck) {
+            this.updateBackendStatusUI(false, true);
+        }
+        
         try {
             console.log("Checking backend connection...");
             
-            const response = await fetch(`${this.baseUrl}`, {
-                method: 'GET',
-                headers: {
-                    'Accept': 'application/json'
-                }
-            });
+            const started = performance.now();
+            const data = await this.fetchHealth();
             
-            if (response.ok) {
-                const data = await response.json();
-                console.log("✅ Backend connected:", data);
-                
-                this.isOnline = true;
-                this.updateBackendStatusUI(true);
+            this.health.latency = Math.round(performance.now() - started);
+            this.health.version = data?.version || data?.api_version || null;
+            this.health.lastChecked = new Date();
+            console.log("✅ Backend connected:", data);
+            
+            this.isOnline = true;
+            this.updateBackendStatusUI(true);
+            
+            if (firstCheck) {
                 this.showNotification("Backend server connected successfully", "success");
-            } else {
-                throw new Error(`HTTP ${response.status}`);
+            } else if (!wasOnline) {
+                this.showNotification("Backend connection restored", "success");
+                this.offerOfflineReprocessing();
             }
         } catch (error) {
             console.log("⚠️ Backend connection failed:", error.message);
+            
+            this.health.latency = null;
+            this.health.lastChecked = new Date();
+            
+            // Forced online mode keeps sending work to the backend regardless
+            if (this.settings.connectionMode === 'online') {
+                this.isOnline = true;
+                this.updateBackendStatusUI(true);
+                return this.isOnline;
+            }
+            
             this.isOnline = false;
             this.updateBackendStatusUI(false);
-            this.showNotification("Running in offline mode. Basic features available.", "warning");
+            
+            if (firstCheck) {
+                this.showNotification("Running in offline mode. Basic features available.", "warning");
+            } else if (wasOnline) {
+                this.showNotification("Backend connection lost. Running in offline mode.", "warning");
+            }
+        } finally {
+            this.health.checking = false;
+            this.scheduleHealthCheck();
         }
+        
+        return this.isOnline;
+    }
+
+    async fetchHealth() {
+        const options = {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json'
+            }
+        };
+        const config = { label: 'Health check', timeout: this.health.timeout, retries: 0 };
+        
+        // Older backends have no health endpoint; fall back to the status route
+        if (this.health.hasHealthEndpoint && this.endpoints.health) {
+            try {
+                return await this.requestJSON(`${this.baseUrl}${this.endpoints.health}`, options, config);
+            } catch (error) {
+                if (!(error instanceof RequestError) || error.status !== 404) {
+                    throw error;
+                }
+                this.health.hasHealthEndpoint = false;
+            }
+        }
+        
+        return this.requestJSON(`${this.baseUrl}${this.endpoints.status}`, options, config);
     }
 
-    updateBackendStatusUI(isConnected) {
+    updateBackendStatusUI(isConnected, reconnecting = false) {
         const backendStatus = document.getElementById('backendStatus');
         const processingMode = document.getElementById('processingMode');
         
         if (backendStatus) {
-            backendStatus.innerHTML = isConnected 
-                ? '<i class="fas fa-check-circle text-success me-1"></i> Backend: Connected ✓'
-                : '<i class="fas fa-exclamation-triangle text-warning me-1"></i> Backend: Offline';
-            backendStatus.className = isConnected ? 'text-success' : 'text-warning';
+            if (isConnected) {
+                const details = [
+                    this.health.latency !== null ? `${this.health.latency} ms` : null,
+                    this.health.version ? `v${this.health.version}` : null
+                ].filter(Boolean).join(' · ');
+                
+                const label = this.health.latency === null && this.settings.connectionMode === 'online'
+                    ? 'Online (forced)'
+                    : 'Connected ✓';
+                backendStatus.innerHTML = `<i class="fas fa-check-circle text-success me-1"></i> Backend: ${label}${details ? ` (${this.escapeHTML(details)})` : ''}`;
+                backendStatus.className = 'text-success';
+            } else if (reconnecting) {
+                backendStatus.innerHTML = '<i class="fas fa-sync-alt fa-spin text-warning me-1"></i> Backend: Reconnecting...';
+                backendStatus.className = 'text-warning';
+            } else {
+                const forced = this.settings.connectionMode === 'offline' ? ' (forced)' : '';
+                backendStatus.innerHTML = `<i class="fas fa-exclamation-triangle text-warning me-1"></i> Backend: Offline${forced}`;
+                backendStatus.className = 'text-warning';
+            }
+            
+            backendStatus.title = this.health.lastChecked
+                ? `Last checked ${this.health.lastChecked.toLocaleTimeString()}`
+                : '';
         }
         
         if (processingMode) {
@@ -124,958 +371,6653 @@ class ArchaeologicalMapper {
         }
     }
 
-    async uploadImage() {
-        if (!this.selectedFile) {
-            this.showNotification('Please select an image file first', 'warning');
-            return;
-        }
+    getOfflineWork() {
+        const current = Boolean(
+            this.currentImage && this.selectedFile &&
+            this.selectedFile === this.currentImage.source_file && (
+                !this.currentImage.server_data ||
+                this.processingResults.segmentation?.method === 'client-worker' ||
+                this.processingResults.detection?.method === 'client-worker'
+            )
+        );
+        const batchItems = this.batch.items.filter(item =>
+            item.status === 'done' && item.results?.statistics?.processing_mode === 'Offline'
+        );
+        
+        return { current, batchItems };
+    }
 
-        if (this.isUploading) {
-            this.showNotification('Upload already in progress', 'warning');
+    offerOfflineReprocessing() {
+        const work = this.getOfflineWork();
+        const modalElement = document.getElementById('reconnectModal');
+        
+        if ((!work.current && !work.batchItems.length) || !modalElement) {
             return;
         }
+        
+        const items = [];
+        if (work.current) {
+            items.push(`<li><i class="fas fa-image me-2"></i>${this.escapeHTML(this.currentImage.original_name)} (current image)</li>`);
+        }
+        if (work.batchItems.length) {
+            items.push(`<li><i class="fas fa-layer-group me-2"></i>${work.batchItems.length} batch image(s)</li>`);
+        }
+        document.getElementById('reconnectWorkList').innerHTML = items.join('');
+        
+        bootstrap.Modal.getOrCreateInstance(modalElement).show();
+    }
 
-        this.isUploading = true;
-        this.isProcessing = true;
+    async reprocessOfflineWork() {
+        const work = this.getOfflineWork();
+        
+        const modalElement = document.getElementById('reconnectModal');
+        if (modalElement) {
+            bootstrap.Modal.getOrCreateInstance(modalElement).hide();
+        }
         
-        // Show progress
-        this.showProgress('uploadProgress', 'uploadStatus', 'Uploading image...', 0);
+        // Finished offline frames simply go back into the queue
+        if (work.batchItems.length) {
+            work.batchItems.forEach(item => {
+                item.status = 'queued';
+                item.error = null;
+                item.attempts = 0;
+            });
+            this.batch.paused = false;
+            this.pumpBatchQueue();
+            this.renderBatchQueue();
+        }
         
-        try {
-            if (this.isOnline) {
-                await this.uploadToBackend();
-            } else {
-                await this.uploadOffline();
-            }
-            
-        } catch (error) {
-            console.error('Upload failed:', error);
-            this.showNotification('Upload failed, using offline mode', 'warning');
-            
-            // Fallback to offline
-            this.isOnline = false;
-            this.updateBackendStatusUI(false);
-            await this.uploadOffline();
-            
-        } finally {
-            setTimeout(() => {
-                this.hideProgress('uploadProgress');
-                this.isProcessing = false;
-                this.isUploading = false;
-            }, 500);
+        if (work.current) {
+            await this.reprocessCurrentOnServer();
         }
     }
 
-    async uploadToBackend() {
-        const formData = new FormData();
-        formData.append('file', this.selectedFile);
+    async reprocessCurrentOnServer() {
+        if (this.isProcessing) {
+            this.showNotification('Another process is currently running', 'warning');
+            return;
+        }
         
-        this.updateProgress('uploadProgress', 30);
+        const hadSegmentation = Boolean(this.processingResults.segmentation);
+        const hadDetection = Boolean(this.processingResults.detection);
+        
+        this.isProcessing = true;
+        this.beginOperation();
+        this.showProgress('uploadProgress', 'uploadStatus', 'Re-uploading image to server...', 10);
         
         try {
-            console.log("Uploading to backend...");
+            await this.uploadToBackend(true);
+            this.hideProgress('uploadProgress');
             
-            // FIXED ENDPOINT - using this.endpoints.upload
-            const response = await fetch(`${this.baseUrl}${this.endpoints.upload}`, {
-                method: 'POST',
-                body: formData
-            });
+            if (hadSegmentation) {
+                this.showProgress('processingProgress', 'processingStatus', 'Re-running segmentation on server...', 30);
+                await this.runBackendSegmentation();
+            }
             
-            console.log("Upload response:", response.status);
+            if (hadDetection) {
+                this.showProgress('processingProgress', 'processingStatus', 'Re-running detection on server...', 50);
+                await this.runBackendDetection();
+            }
             
-            if (response.ok) {
-                const result = await response.json();
-                console.log("Upload successful:", result);
-                
-                if (result.success) {
-                    this.currentImage = {
-                        filename: result.filename,
-                        original_name: result.original_name,
-                        image_size: result.file_size_mb ? `${result.file_size_mb} MB` : `${Math.round(this.selectedFile.size/(1024*1024))} MB`,
-                        preview_url: `${this.baseUrl}${result.preview_url}`,
-                        upload_timestamp: result.upload_timestamp,
-                        server_data: result
-                    };
-                    
-                    this.updateProgress('uploadProgress', 100);
-                    this.showNotification('Image uploaded successfully to server', 'success');
-                    
-                    // Display image
-                    await this.displayImage(this.currentImage.preview_url);
-                    
-                } else {
-                    throw new Error(result.error || 'Upload failed');
-                }
+            this.showNotification('Offline results replaced with server analysis', 'success');
+        } catch (error) {
+            if (error instanceof RequestError && error.kind === 'cancelled') {
+                this.showNotification('Re-processing cancelled', 'info');
             } else {
-                throw new Error(`Upload failed: ${response.status}`);
+                console.error('Re-processing failed:', error);
+                this.showNotification(`Re-processing failed: ${error.message}`, 'error');
             }
-            
+        } finally {
+            this.endOperation();
+            this.hideProgress('uploadProgress');
+            this.hideProgress('processingProgress');
+            this.isProcessing = false;
+        }
+    }
+
+    // Settings Methods
+    loadSettings() {
+        const defaults = this.defaultSettings;
+        let stored = {};
+        
+        try {
+            stored = JSON.parse(localStorage.getItem(this.settingsKey)) || {};
         } catch (error) {
-            console.error('Backend upload error:', error);
-            throw error;
+            console.warn('Ignoring unreadable settings:', error.message);
         }
         
-        // Update UI and enable buttons
-        this.updateImageInfoUI();
-        this.enableProcessingButtons(true);
+        return {
+            ...defaults,
+            ...stored,
+            endpoints: { ...defaults.endpoints, ...(stored.endpoints || {}) },
+            preprocess: { ...defaults.preprocess, ...(stored.preprocess || {}) }
+        };
     }
 
-    async uploadOffline() {
-        this.updateProgress('uploadProgress', 50);
-        await this.delay(1000);
+    showSettings() {
+        const modalElement = document.getElementById('settingsModal');
+        if (!modalElement) {
+            return;
+        }
         
-        this.currentImage = {
-            filename: this.selectedFile.name,
-            original_name: this.selectedFile.name,
-            image_size: `${(this.selectedFile.size/(1024*1024)).toFixed(2)} MB`,
-            preview_url: URL.createObjectURL(this.selectedFile),
-            upload_timestamp: new Date().toISOString(),
-            server_data: null
+        this.fillSettingsForm(this.settings);
+        bootstrap.Modal.getOrCreateInstance(modalElement).show();
+    }
+
+    fillSettingsForm(settings) {
+        const setValue = (id, value) => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.value = value;
+            }
         };
         
-        this.updateProgress('uploadProgress', 100);
-        this.showNotification('Image loaded for offline processing', 'success');
+        setValue('settingsBaseUrl', settings.baseUrl);
+        Object.entries(settings.endpoints).forEach(([name, path]) => {
+            setValue(`settingsEndpoint-${name}`, path);
+        });
+        setValue('settingsConnectionMode', settings.connectionMode);
+        setValue('settingsOverlayOpacity', Math.round(settings.overlayOpacity * 100));
+        setValue('settingsCenterLat', settings.mapCenter[0]);
+        setValue('settingsCenterLng', settings.mapCenter[1]);
+        setValue('settingsZoom', settings.mapZoom);
+        setValue('settingsMeasureUnits', settings.measureUnits);
+        setValue('settingsScreenDpi', settings.screenDpi);
         
-        // Display local image
-        await this.displayLocalImage(this.selectedFile);
+        const opacityValue = document.getElementById('settingsOpacityValue');
+        if (opacityValue) {
+            opacityValue.textContent = `${Math.round(settings.overlayOpacity * 100)}%`;
+        }
         
-        // Update UI and enable buttons
-        this.updateImageInfoUI();
-        this.enableProcessingButtons(true);
-    }
-
-    displayLocalImage(file) {
-        return new Promise((resolve) => {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                const imgUrl = e.target.result;
-                this.displayImage(imgUrl);
-                resolve();
-            };
-            reader.readAsDataURL(file);
-        });
+        const preprocess = settings.preprocess;
+        const setChecked = (id, checked) => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.checked = checked;
+            }
+        };
+        setChecked('settingsPreprocessEnabled', preprocess.enabled);
+        setValue('settingsMaxDimension', preprocess.maxDimension);
+        setValue('settingsOutputFormat', preprocess.format);
+        setValue('settingsJpegQuality', Math.round(preprocess.quality * 100));
+        setChecked('settingsStripLocation', preprocess.stripLocation);
+        setChecked('settingsTiling', preprocess.tiling);
+        setValue('settingsTileSize', preprocess.tileSize);
+        setValue('settingsTileOverlap', preprocess.tileOverlap);
+        
+        this.setSettingsTestResult('', '');
     }
 
-    displayImage(imgUrl) {
-        // Clear previous image if exists
-        if (this.imageOverlay) {
-            this.map.removeLayer(this.imageOverlay);
-        }
+    readSettingsForm() {
+        const value = (id) => document.getElementById(id)?.value.trim() ?? '';
+        const errors = [];
         
-        // Clear previous layers
-        if (this.artifactsLayer) {
-            this.map.removeLayer(this.artifactsLayer);
-            this.artifactsLayer = null;
+        let baseUrl = value('settingsBaseUrl').replace(/\/+$/, '');
+        try {
+            const url = new URL(baseUrl);
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+                errors.push('Backend URL must use http or https');
+            }
+        } catch (error) {
+            errors.push('Backend URL is not a valid URL');
         }
         
-        if (this.segmentationLayer) {
-            this.map.removeLayer(this.segmentationLayer);
-            this.segmentationLayer = null;
-        }
+        const endpoints = {};
+        Object.keys(this.defaultSettings.endpoints).forEach(name => {
+            const path = value(`settingsEndpoint-${name}`);
+            if (!path.startsWith('/')) {
+                errors.push(`The ${name} endpoint must start with "/"`);
+            }
+            endpoints[name] = path;
+        });
         
-        // Set up image bounds
-        const bounds = [[29.971, 31.127], [29.982, 31.138]];
+        const opacity = parseFloat(value('settingsOverlayOpacity')) / 100;
+        const lat = parseFloat(value('settingsCenterLat'));
+        const lng = parseFloat(value('settingsCenterLng'));
+        const zoom = parseInt(value('settingsZoom'), 10);
+        const screenDpi = parseInt(value('settingsScreenDpi'), 10);
         
-        // Create and add image overlay
-        this.imageOverlay = L.imageOverlay(imgUrl, bounds, {
-            opacity: 0.8,
-            interactive: true,
-            className: 'archaeo-image-overlay'
-        }).addTo(this.map);
+        if (!(lat >= -90 && lat <= 90) || !(lng >= -180 && lng <= 180)) {
+            errors.push('Map center must be a valid latitude and longitude');
+        }
+        if (!(zoom >= 1 && zoom <= 19)) {
+            errors.push('Default zoom must be between 1 and 19');
+        }
+        if (!(screenDpi >= 50 && screenDpi <= 600)) {
+            errors.push('Screen DPI must be between 50 and 600');
+        }
         
-        // Fit map to image
-        this.map.fitBounds(bounds);
+        const checked = (id) => Boolean(document.getElementById(id)?.checked);
+        const maxDimension = parseInt(value('settingsMaxDimension'), 10) || 0;
+        const quality = parseInt(value('settingsJpegQuality'), 10);
+        const tileSize = parseInt(value('settingsTileSize'), 10);
+        const tileOverlap = parseInt(value('settingsTileOverlap'), 10) || 0;
         
-        // Store image bounds
-        this.imageBounds = bounds;
+        if (maxDimension < 0) {
+            errors.push('Maximum resolution cannot be negative');
+        }
+        if (!(quality >= 50 && quality <= 100)) {
+            errors.push('JPEG quality must be between 50 and 100');
+        }
+        if (!(tileSize >= 256)) {
+            errors.push('Tile size must be at least 256 pixels');
+        }
+        if (tileOverlap < 0 || tileOverlap >= tileSize / 2) {
+            errors.push('Tile overlap must be less than half the tile size');
+        }
         
-        console.log("Image displayed on map");
+        return {
+            errors,
+            settings: {
+                baseUrl,
+                endpoints,
+                connectionMode: value('settingsConnectionMode') || 'auto',
+                overlayOpacity: Number.isFinite(opacity) ? Math.min(1, Math.max(0, opacity)) : this.defaultSettings.overlayOpacity,
+                mapCenter: [lat, lng],
+                mapZoom: zoom,
+                measureUnits: value('settingsMeasureUnits') || 'm',
+                screenDpi: screenDpi,
+                preprocess: {
+                    enabled: checked('settingsPreprocessEnabled'),
+                    maxDimension: maxDimension,
+                    format: value('settingsOutputFormat') || 'auto',
+                    quality: quality / 100,
+                    stripLocation: checked('settingsStripLocation'),
+                    tiling: checked('settingsTiling'),
+                    tileSize: tileSize,
+                    tileOverlap: tileOverlap
+                }
+            }
+        };
     }
 
-    async runSegmentation() {
-        if (!this.currentImage) {
-            this.showNotification('Please upload an image first', 'warning');
+    saveSettings() {
+        const { errors, settings } = this.readSettingsForm();
+        
+        if (errors.length) {
+            this.setSettingsTestResult(errors.join('. '), 'danger');
             return;
         }
+        
+        localStorage.setItem(this.settingsKey, JSON.stringify(settings));
+        this.applySettings(settings);
+        
+        const modalElement = document.getElementById('settingsModal');
+        if (modalElement) {
+            bootstrap.Modal.getOrCreateInstance(modalElement).hide();
+        }
+        
+        this.showNotification('Settings saved', 'success');
+    }
 
-        if (this.isProcessing && !this.runningAllProcess) {
-            this.showNotification('Another process is currently running', 'warning');
-            return;
+    resetSettings() {
+        localStorage.removeItem(this.settingsKey);
+        this.fillSettingsForm(this.defaultSettings);
+        this.applySettings(this.loadSettings());
+        this.showNotification('Settings reset to defaults', 'info');
+    }
+
+    applySettings(settings) {
+        const backendChanged = settings.baseUrl !== this.baseUrl ||
+            JSON.stringify(settings.endpoints) !== JSON.stringify(this.endpoints) ||
+            settings.connectionMode !== this.settings.connectionMode;
+        const unitsChanged = settings.measureUnits !== this.settings.measureUnits;
+        
+        this.settings = settings;
+        this.baseUrl = settings.baseUrl;
+        this.endpoints = { ...settings.endpoints };
+        
+        if (this.imageOverlay) {
+            this.imageOverlay.setOpacity(settings.overlayOpacity);
+        }
+        
+        if (unitsChanged) {
+            this.refreshMeasureUnits();
         }
+        this.updateMapScale();
+        
+        // A new backend starts from a clean health state
+        if (backendChanged) {
+            this.health.hasHealthEndpoint = true;
+            this.health.version = null;
+            this.checkBackendStatus();
+        }
+    }
 
-        if (!this.runningAllProcess) {
-            this.isProcessing = true;
+    async testSettingsConnection() {
+        const { errors, settings } = this.readSettingsForm();
+        
+        if (errors.length) {
+            this.setSettingsTestResult(errors.join('. '), 'danger');
+            return;
         }
         
-        this.showProgress('processingProgress', 'processingStatus', 'Analyzing site features...', 30);
+        this.setSettingsTestResult('<i class="fas fa-circle-notch fa-spin me-2"></i>Testing connection...', 'info');
+        
+        const options = { method: 'GET', headers: { 'Accept': 'application/json' } };
+        const config = { label: 'Connection test', timeout: this.health.timeout, retries: 0 };
+        const started = performance.now();
         
         try {
-            if (this.isOnline && this.currentImage.filename) {
-                await this.runBackendSegmentation();
-            } else {
-                await this.runOfflineSegmentation();
+            let data;
+            let path = settings.endpoints.health;
+            try {
+                data = await this.requestJSON(`${settings.baseUrl}${path}`, options, config);
+            } catch (error) {
+                if (!(error instanceof RequestError) || error.status !== 404) {
+                    throw error;
+                }
+                path = settings.endpoints.status;
+                data = await this.requestJSON(`${settings.baseUrl}${path}`, options, config);
             }
             
+            const latency = Math.round(performance.now() - started);
+            const version = data?.version || data?.api_version;
+            this.setSettingsTestResult(
+                `<i class="fas fa-check-circle me-2"></i>Connected via ${this.escapeHTML(path)} in ${latency} ms${version ? ` (v${this.escapeHTML(String(version))})` : ''}`,
+                'success'
+            );
         } catch (error) {
-            console.error('Segmentation failed:', error);
-            this.showNotification('Segmentation failed, trying offline mode', 'warning');
-            
-            if (this.isOnline) {
-                this.isOnline = false;
-                this.updateBackendStatusUI(false);
-                await this.runOfflineSegmentation();
-            }
-            
-        } finally {
-            setTimeout(() => {
-                this.hideProgress('processingProgress');
-                if (!this.runningAllProcess) {
-                    this.isProcessing = false;
-                }
-            }, 500);
+            this.setSettingsTestResult(`<i class="fas fa-times-circle me-2"></i>${this.escapeHTML(error.message)}`, 'danger');
         }
     }
 
-    async runBackendSegmentation() {
-        this.updateProgress('processingProgress', 50);
+    setSettingsTestResult(html, type) {
+        const result = document.getElementById('settingsTestResult');
+        if (!result) {
+            return;
+        }
+        
+        result.innerHTML = html;
+        result.className = type ? `alert alert-${type} py-2 mb-0` : 'd-none';
+    }
+
+    async uploadImage() {
+        if (!this.selectedFile) {
+            this.showNotification('Please select an image file first', 'warning');
+            return;
+        }
+
+        if (this.isUploading) {
+            this.showNotification('Upload already in progress', 'warning');
+            return;
+        }
+
+        this.isUploading = true;
+        this.isProcessing = true;
+        
+        // Each upload starts a new history record
+        this.currentProjectId = null;
+        const signal = this.beginOperation();
         
         try {
-            // FIXED ENDPOINT - using this.endpoints.segment
-            const response = await fetch(`${this.baseUrl}${this.endpoints.segment}`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                },
-                body: JSON.stringify({
-                    filename: this.currentImage.filename
-                })
-            });
+            // Work out where the image sits on the map before displaying it
+            this.showProgress('uploadProgress', 'uploadStatus', 'Reading image location...', 0);
+            this.selectedGeoreference = await this.resolveImageGeoreference(this.selectedFile);
             
-            if (response.ok) {
-                const result = await response.json();
-                console.log("Segmentation result:", result);
-                
-                if (result.success) {
-                    this.processingResults.segmentation = result;
-                    this.updateProgress('processingProgress', 100);
-                    
-                    const ruinsPercent = result.ruins_percentage || 0;
-                    this.showNotification(`Segmentation complete: ${ruinsPercent}% ruins detected`, 'success');
-                    
-                    this.displaySegmentationResult(result);
-                    this.updateResultsPanel('segmentation', result);
-                    this.updateLegendValues();
-                } else {
-                    throw new Error(result.error || 'Segmentation failed');
-                }
-            } else {
-                throw new Error(`Segmentation failed: ${response.status}`);
+            if (signal.aborted) {
+                this.showNotification('Upload cancelled', 'info');
+                return;
             }
             
+            // Show progress
+            this.showProgress('uploadProgress', 'uploadStatus', 'Uploading image...', 0);
+            
+            await this.runWithBackendFallback(
+                'Upload',
+                () => this.isOnline ? this.uploadToBackend() : this.uploadOffline(),
+                () => this.uploadOffline()
+            );
         } catch (error) {
-            console.error('Backend segmentation error:', error);
-            throw error;
+            console.error('Upload failed:', error);
+            this.showNotification(`Upload failed: ${error.message}`, 'error');
+        } finally {
+            this.endOperation();
+            setTimeout(() => {
+                this.hideProgress('uploadProgress');
+                this.isProcessing = false;
+                this.isUploading = false;
+            }, 500);
         }
     }
 
-    async runOfflineSegmentation() {
-        await this.delay(1500);
-        
-        const results = {
-            ruins_percentage: parseFloat((Math.random() * 40 + 20).toFixed(2)),
-            vegetation_percentage: parseFloat((Math.random() * 30 + 10).toFixed(2)),
-            water_percentage: parseFloat((Math.random() * 5 + 1).toFixed(2)),
-            pixels_analyzed: 1000000 + Math.floor(Math.random() * 500000),
-            image_size: '1920x1080',
-            success: true,
-            segmentation_url: null
-        };
+    async uploadToBackend(keepGeoreference = false) {
+        this.updateProgress('uploadProgress', 0);
         
-        this.processingResults.segmentation = results;
-        this.updateProgress('processingProgress', 100);
+        // Re-uploads keep the image where it is now, including any control-point fit
+        const georeference = keepGeoreference ? this.currentImage?.georeference || null : this.selectedGeoreference;
+        const bounds = keepGeoreference ? this.imageBounds : undefined;
         
-        if (!this.runningAllProcess) {
-            this.showNotification('Site features segmented (offline mode)', 'success');
+        try {
+            const signal = this.activeOperation?.signal;
+            const status = document.getElementById('uploadStatus');
+            if (status) {
+                status.textContent = 'Preparing image...';
+            }
+            
+            const prepared = await this.preprocessForUpload(this.selectedFile, georeference);
+            this.throwIfCancelled();
+            
+            const result = await this.postUpload(
+                prepared.file,
+                signal,
+                (progress) => this.updateUploadProgress(progress),
+                this.selectedFile
+            );
+            
+            const tiles = prepared.tiles
+                ? await this.uploadTiles(prepared.tiles, signal, (index, total) => {
+                    if (status) {
+                        status.textContent = `Uploading detector tile ${index + 1} of ${total}...`;
+                    }
+                })
+                : null;
+            
+            this.currentImage = {
+                filename: result.filename,
+                original_name: result.original_name,
+                image_size: result.file_size_mb ? `${result.file_size_mb} MB` : `${Math.round(this.selectedFile.size/(1024*1024))} MB`,
+                preview_url: `${this.baseUrl}${result.preview_url}`,
+                upload_timestamp: result.upload_timestamp,
+                georeference: georeference,
+                server_data: result,
+                preprocessing: this.describePreprocessing(prepared, tiles),
+                source_file: this.selectedFile
+            };
+            
+            this.updateProgress('uploadProgress', 100);
+            this.showNotification(
+                `Image uploaded successfully to server${prepared.summary.length ? ` (${prepared.summary.join(', ')})` : ''}`,
+                'success'
+            );
+            
+            // Display image; decoded GeoTIFFs use the local rendering
+            await this.displayImage(georeference?.preview_url || this.currentImage.preview_url, bounds);
+            
+        } catch (error) {
+            console.error('Backend upload error:', error);
+            throw error;
         }
         
-        this.displaySegmentationResult(results);
-        this.updateResultsPanel('segmentation', results);
-        this.updateLegendValues();
+        // Update UI and enable buttons
+        this.updateImageInfoUI();
+        this.enableProcessingButtons(true);
+        this.saveProject();
     }
 
-    async detectArtifacts() {
-        if (!this.currentImage) {
-            this.showNotification('Please upload an image first', 'warning');
-            return;
-        }
-
-        if (this.isProcessing && !this.runningAllProcess) {
-            this.showNotification('Another process is currently running', 'warning');
-            return;
+    // Backend Request Methods
+    async requestJSON(url, options = {}, { label = 'Request', timeout = this.requestConfig.timeout, retries = this.requestConfig.retries, signal = null, onUploadProgress = null } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                // fetch cannot report upload progress, so those requests go through XHR
+                return onUploadProgress
+                    ? await this.xhrJSONOnce(url, options, label, timeout, signal, onUploadProgress)
+                    : await this.fetchJSONOnce(url, options, label, timeout, signal);
+            } catch (error) {
+                if (!(error instanceof RequestError) || !error.isTransient || attempt >= retries) {
+                    if (error instanceof RequestError && error.isTransient && attempt > 0) {
+                        error.message += ` (after ${attempt + 1} attempts)`;
+                    }
+                    throw error;
+                }
+                
+                // Exponential backoff with jitter
+                const wait = Math.min(
+                    this.requestConfig.backoffMax,
+                    this.requestConfig.backoffBase * Math.pow(2, attempt)
+                ) * (0.8 + Math.random() * 0.4);
+                
+                console.warn(`${label} attempt ${attempt + 1} failed (${error.message}), retrying in ${Math.round(wait)} ms`);
+                this.showNotification(`${label}: ${error.message}. Retrying (${attempt + 2}/${retries + 1})...`, 'info');
+                await this.cancellableDelay(wait, signal);
+            }
         }
+    }
 
-        if (!this.runningAllProcess) {
-            this.isProcessing = true;
+    async fetchJSONOnce(url, options, label, timeout, signal) {
+        if (signal?.aborted) {
+            throw new RequestError(`${label} cancelled`, 'cancelled');
         }
         
-        this.showProgress('processingProgress', 'processingStatus', 'Detecting artifacts...', 50);
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        const onAbort = () => controller.abort();
+        signal?.addEventListener('abort', onAbort);
         
         try {
-            if (this.isOnline && this.currentImage.filename) {
-                await this.runBackendDetection();
-            } else {
-                await this.runOfflineDetection();
+            let response;
+            try {
+                response = await fetch(url, { ...options, signal: controller.signal });
+            } catch (error) {
+                if (timedOut) {
+                    throw new RequestError(`${label} timed out after ${Math.round(timeout / 1000)} s`, 'timeout');
+                }
+                if (signal?.aborted) {
+                    throw new RequestError(`${label} cancelled`, 'cancelled');
+                }
+                throw new RequestError(`${label} failed: could not reach the backend`, 'network');
             }
             
-        } catch (error) {
-            console.error('Detection failed:', error);
-            this.showNotification('Detection failed, trying offline mode', 'warning');
+            const result = await response.json().catch(() => null);
             
-            if (this.isOnline) {
-                this.isOnline = false;
-                this.updateBackendStatusUI(false);
-                await this.runOfflineDetection();
+            if (!response.ok) {
+                const detail = result?.error ? `: ${result.error}` : '';
+                throw new RequestError(
+                    `${label} failed: server returned ${response.status} ${response.statusText}${detail}`.trim(),
+                    'http',
+                    response.status
+                );
             }
             
+            if (!result) {
+                throw new RequestError(`${label} failed: invalid JSON response`, 'server', response.status);
+            }
+            
+            return result;
         } finally {
-            setTimeout(() => {
-                this.hideProgress('processingProgress');
-                if (!this.runningAllProcess) {
-                    this.isProcessing = false;
-                }
-            }, 500);
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
         }
     }
 
-    async runBackendDetection() {
-        this.updateProgress('processingProgress', 70);
-        
-        try {
-            // FIXED ENDPOINT - using this.endpoints.detect
-            const response = await fetch(`${this.baseUrl}${this.endpoints.detect}`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                },
-                body: JSON.stringify({
-                    filename: this.currentImage.filename
-                })
+    xhrJSONOnce(url, options, label, timeout, signal, onUploadProgress) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new RequestError(`${label} cancelled`, 'cancelled'));
+                return;
+            }
+            
+            const xhr = new XMLHttpRequest();
+            const onAbort = () => xhr.abort();
+            const finish = (callback) => {
+                signal?.removeEventListener('abort', onAbort);
+                callback();
+            };
+            
+            xhr.open(options.method || 'GET', url);
+            xhr.timeout = timeout;
+            Object.entries(options.headers || {}).forEach(([name, value]) => {
+                xhr.setRequestHeader(name, value);
             });
             
-            if (response.ok) {
-                const result = await response.json();
-                console.log("Detection result:", result);
+            xhr.upload.onprogress = (e) => {
+                if (e.lengthComputable) {
+                    onUploadProgress(e.loaded, e.total);
+                }
+            };
+            
+            xhr.onload = () => finish(() => {
+                let result = null;
+                try {
+                    result = JSON.parse(xhr.responseText);
+                } catch (error) {
+                    result = null;
+                }
                 
-                if (result.success) {
-                    this.processingResults.detection = result;
-                    this.updateProgress('processingProgress', 100);
-                    
-                    const count = result.total_detected || 0;
-                    
-                    if (!this.runningAllProcess) {
-                        this.showNotification(`Found ${count} artifacts`, 'success');
-                    }
-                    
-                    this.displayDetectionResult(result);
-                    this.updateResultsPanel('detection', result);
-                    this.updateLegendValues();
+                if (xhr.status < 200 || xhr.status >= 300) {
+                    const detail = result?.error ? `: ${result.error}` : '';
+                    reject(new RequestError(
+                        `${label} failed: server returned ${xhr.status} ${xhr.statusText}${detail}`.trim(),
+                        'http',
+                        xhr.status
+                    ));
+                } else if (!result) {
+                    reject(new RequestError(`${label} failed: invalid JSON response`, 'server', xhr.status));
                 } else {
-                    throw new Error(result.error || 'Detection failed');
+                    resolve(result);
                 }
+            });
+            xhr.ontimeout = () => finish(() => {
+                reject(new RequestError(`${label} timed out after ${Math.round(timeout / 1000)} s`, 'timeout'));
+            });
+            xhr.onerror = () => finish(() => {
+                reject(new RequestError(`${label} failed: could not reach the backend`, 'network'));
+            });
+            xhr.onabort = () => finish(() => {
+                reject(new RequestError(`${label} cancelled`, 'cancelled'));
+            });
+            
+            signal?.addEventListener('abort', onAbort);
+            xhr.send(options.body ?? null);
+        });
+    }
+
+    cancellableDelay(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new RequestError('Cancelled', 'cancelled'));
+            };
+            
+            if (signal?.aborted) {
+                onAbort();
             } else {
-                throw new Error(`Detection failed: ${response.status}`);
+                signal?.addEventListener('abort', onAbort, { once: true });
             }
-            
-        } catch (error) {
-            console.error('Backend detection error:', error);
-            throw error;
-        }
+        });
     }
 
-    async runOfflineDetection() {
-        await this.delay(1500);
+    async postUpload(file, signal = null, onProgress = null, source = null) {
+        const tracker = this.createTransferTracker(file.size, onProgress);
         
-        const artifacts = [];
-        const numArtifacts = Math.floor(Math.random() * 12) + 3;
-        const artifactTypes = ['Pottery', 'Tool', 'Structure', 'Ceramic', 'Bone', 'Stone Tool', 'Vessel', 'Ornament'];
-        
-        for (let i = 0; i < numArtifacts; i++) {
-            artifacts.push({
-                id: i + 1,
-                type: artifactTypes[Math.floor(Math.random() * artifactTypes.length)],
-                confidence: parseFloat((Math.random() * 0.3 + 0.7).toFixed(3)),
-                area: Math.floor(Math.random() * 2000 + 500),
-                center: [Math.floor(Math.random() * 1000), Math.floor(Math.random() * 1000)],
-                bbox: [
-                    Math.floor(Math.random() * 800),
-                    Math.floor(Math.random() * 800),
-                    Math.floor(Math.random() * 200 + 50),
-                    Math.floor(Math.random() * 200 + 50)
-                ]
-            });
+        if (file.size > this.requestConfig.chunkThreshold && this.endpoints.chunkedUpload) {
+            try {
+                return await this.postChunkedUpload(file, signal, tracker, source);
+            } catch (error) {
+                // Backends without the chunked protocol get a single request instead
+                if (!(error instanceof RequestError) || (error.status !== 404 && error.status !== 405)) {
+                    throw error;
+                }
+                console.warn('Chunked upload not supported by backend, sending file in one request');
+            }
         }
         
-        const results = {
-            artifacts: artifacts,
-            total_detected: artifacts.length,
-            success: true,
-            detection_map: null
-        };
+        const formData = new FormData();
+        formData.append('file', file);
         
-        this.processingResults.detection = results;
-        this.updateProgress('processingProgress', 100);
+        console.log("Uploading to backend...");
         
-        if (!this.runningAllProcess) {
-            this.showNotification(`Found ${artifacts.length} artifacts (offline mode)`, 'success');
+        // FIXED ENDPOINT - using this.endpoints.upload
+        const result = await this.requestJSON(`${this.baseUrl}${this.endpoints.upload}`, {
+            method: 'POST',
+            body: formData
+        }, {
+            label: 'Upload',
+            timeout: this.requestConfig.uploadTimeout,
+            signal,
+            onUploadProgress: (loaded, total) => {
+                // The multipart body is slightly larger than the file itself
+                tracker.update(Math.min(file.size, loaded * file.size / total));
+            }
+        });
+        
+        console.log("Upload successful:", result);
+        
+        if (!result.success) {
+            throw new RequestError(`Upload failed: ${result.error || 'server rejected the file'}`, 'server');
         }
         
-        this.displayDetectionResult(results);
-        this.updateResultsPanel('detection', results);
-        this.updateLegendValues();
+        return result;
     }
 
-    async runAllProcessing() {
-        if (!this.currentImage) {
-            this.showNotification('Please upload an image first', 'warning');
-            return;
-        }
-
-        if (this.isProcessing) {
-            this.showNotification('Another process is currently running', 'warning');
-            return;
-        }
-
-        this.isProcessing = true;
-        this.runningAllProcess = true;
+    // Preprocessing Methods
+    async preprocessForUpload(file, georeference = null) {
+        const options = this.settings.preprocess;
+        const needsDecoding = this.isTiffFile(file) || this.isHeicFile(file);
+        const passThrough = { file, width: null, height: null, scaleX: 1, scaleY: 1, tiles: null, summary: [] };
         
-        // Show loading overlay
-        this.showLoading('Running Complete Analysis', 'Processing site features and artifacts...');
+        if (!options.enabled && !needsDecoding) {
+            return passThrough;
+        }
         
-        // Create loading steps
-        const loadingSteps = document.getElementById('loadingSteps');
-        if (loadingSteps) {
-            loadingSteps.innerHTML = `
-                <div class="loading-step" id="step-segmentation">
-                    <i class="fas fa-circle-notch fa-spin"></i>
-                    <span>Segmenting Site Features</span>
-                </div>
-                <div class="loading-step" id="step-detection">
-                    <i class="far fa-circle"></i>
-                    <span>Detecting Artifacts</span>
-                </div>
-                <div class="loading-step" id="step-analysis">
-                    <i class="far fa-circle"></i>
-                    <span>Final Analysis</span>
-                </div>
-            `;
+        // Decoded previews exist for TIFF and HEIC; everything else decodes directly
+        let sourceUrl = georeference?.preview_url || null;
+        const ownsUrl = !sourceUrl;
+        if (!sourceUrl) {
+            if (needsDecoding) {
+                // The original can only be sent as-is, so never let it leak a location the user asked to strip
+                if (options.enabled && options.stripLocation && (!window.exifr || await this.hasLocationMetadata(file))) {
+                    throw new Error(`Location metadata could not be removed from ${file.name} because it could not be decoded; turn off location stripping to upload the original`);
+                }
+                return passThrough;
+            }
+            sourceUrl = URL.createObjectURL(file);
         }
         
         try {
-            // Step 1: Segmentation
-            this.updateLoadingStep('segmentation', 'active');
-            
-            // Show progress for segmentation
-            this.showProgress('processingProgress', 'processingStatus', 'Analyzing site features...', 30);
-            
-            if (this.isOnline && this.currentImage.filename) {
-                await this.runBackendSegmentation();
-            } else {
-                await this.runOfflineSegmentation();
-            }
-            
-            this.hideProgress('processingProgress');
+            const element = await this.loadImageElement(sourceUrl);
+            const decodedWidth = element.naturalWidth;
+            const decodedHeight = element.naturalHeight;
             
-            // Wait between steps
-            await this.delay(1000);
+            // Detections are reported in the pixel grid the rest of the app uses
+            const sourceWidth = georeference?.width || decodedWidth;
+            const sourceHeight = georeference?.height || decodedHeight;
             
-            // Step 2: Detection
-            this.updateLoadingStep('segmentation', 'completed');
-            this.updateLoadingStep('detection', 'active');
+            const maxDimension = options.enabled ? options.maxDimension : 0;
+            const scale = maxDimension ? Math.min(1, maxDimension / Math.max(decodedWidth, decodedHeight)) : 1;
+            const width = Math.round(decodedWidth * scale);
+            const height = Math.round(decodedHeight * scale);
             
-            // Show progress for detection
-            this.showProgress('processingProgress', 'processingStatus', 'Detecting artifacts...', 50);
+            const outputType = this.getPreprocessOutputType(file, options.format);
+            const hasLocation = options.enabled && options.stripLocation && await this.hasLocationMetadata(file);
+            const converted = needsDecoding || (options.format !== 'auto' && outputType !== file.type);
+            const summary = [];
+            let output = file;
+            let canvas = null;
             
-            if (this.isOnline && this.currentImage.filename) {
-                await this.runBackendDetection();
-            } else {
-                await this.runOfflineDetection();
+            if (converted || scale < 1) {
+                canvas = this.drawToCanvas(element, width, height);
+                output = await this.canvasToFile(canvas, file.name, outputType, options.quality);
+                
+                if (converted) {
+                    summary.push(`converted to ${outputType === 'image/png' ? 'PNG' : 'JPEG'}`);
+                }
+                if (scale < 1) {
+                    summary.push(`downscaled to ${width}×${height}`);
+                }
+            } else if (hasLocation) {
+                // JPEG metadata can be dropped losslessly unless the pixels rely on the orientation tag
+                const orientation = window.exifr ? await exifr.orientation(file).catch(() => 1) : 1;
+                if (file.type === 'image/jpeg' && (!orientation || orientation === 1)) {
+                    output = await this.stripJpegMetadata(file);
+                } else {
+                    canvas = this.drawToCanvas(element, width, height);
+                    output = await this.canvasToFile(canvas, file.name, outputType, options.quality);
+                }
             }
             
-            this.hideProgress('processingProgress');
-            
-            // Step 3: Analysis
-            await this.delay(500);
-            this.updateLoadingStep('detection', 'completed');
-            this.updateLoadingStep('analysis', 'active');
-            
-            // Generate statistics
-            await this.generateCombinedStatistics();
-            await this.delay(1000);
-            this.updateLoadingStep('analysis', 'completed');
+            // Re-encoded canvases never carry metadata
+            if (hasLocation) {
+                summary.push('location metadata removed');
+            }
             
-            this.showNotification('All processing completed successfully!', 'success');
+            let tiles = null;
+            if (options.enabled && options.tiling && Math.max(width, height) > options.tileSize) {
+                canvas = canvas || this.drawToCanvas(element, width, height);
+                tiles = await this.createImageTiles(canvas, output.name, outputType, options);
+                summary.push(`${tiles.length} detector tiles`);
+            }
             
-        } catch (error) {
-            console.error('Complete processing failed:', error);
-            this.showNotification('Processing failed: ' + error.message, 'error');
+            return {
+                file: output,
+                width: width,
+                height: height,
+                scaleX: sourceWidth / width,
+                scaleY: sourceHeight / height,
+                tiles: tiles,
+                summary: summary
+            };
         } finally {
-            setTimeout(() => {
-                this.hideLoading();
-                this.isProcessing = false;
-                this.runningAllProcess = false;
-            }, 1000);
+            if (ownsUrl) {
+                URL.revokeObjectURL(sourceUrl);
+            }
         }
     }
 
-    async generateCombinedStatistics() {
-        const seg = this.processingResults.segmentation;
-        const det = this.processingResults.detection;
+    getPreprocessOutputType(file, format) {
+        if (format === 'jpeg') {
+            return 'image/jpeg';
+        }
+        if (format === 'png') {
+            return 'image/png';
+        }
         
-        this.processingResults.statistics = {
-            timestamp: new Date().toISOString(),
-            image_name: this.currentImage?.original_name || 'Unknown',
-            ruins_coverage: seg?.ruins_percentage || 0,
-            vegetation_coverage: seg?.vegetation_percentage || 0,
-            water_coverage: seg?.water_percentage || 0,
-            artifact_count: det?.total_detected || 0,
-            processing_mode: this.isOnline ? 'Online' : 'Offline',
-            summary: `Analysis complete: ${seg?.ruins_percentage || 0}% ruins, ${det?.total_detected || 0} artifacts`
-        };
+        // TIFF rasters may use transparency for nodata, so keep an alpha channel
+        return file.type === 'image/png' || this.isTiffFile(file) ? 'image/png' : 'image/jpeg';
+    }
+
+    async hasLocationMetadata(file) {
+        if (!window.exifr) {
+            return false;
+        }
         
-        console.log("Generated statistics:", this.processingResults.statistics);
+        const gps = await exifr.gps(file).catch(() => null);
+        return Boolean(gps && (typeof gps.latitude === 'number' || typeof gps.longitude === 'number'));
+    }
+
+    drawToCanvas(element, width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
         
-        // Add combined result to results panel
-        this.updateResultsPanel('combined', this.processingResults.statistics);
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(element, 0, 0, width, height);
+        return canvas;
     }
 
-    // UI Helper Methods
-    showProgress(containerId, statusId, message, percentage) {
-        const container = document.getElementById(containerId);
-        const status = document.getElementById(statusId);
-        const progressBar = container?.querySelector(".progress-bar");
+    async canvasToFile(canvas, name, type, quality) {
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, type, quality));
+        if (!blob) {
+            throw new Error('Image is too large to re-encode in this browser');
+        }
+        
+        const extension = type === 'image/png' ? 'png' : 'jpg';
+        return new File([blob], name.replace(/\.[^.]+$/, '') + `.${extension}`, { type });
+    }
 
-        if (container && status && progressBar) {
-            container.style.display = "block";
-            status.textContent = message;
-            progressBar.style.width = `${percentage}%`;
-            progressBar.setAttribute("aria-valuenow", percentage);
+    async stripJpegMetadata(file) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+            return file;
+        }
+        
+        // Copy every segment up to the scan except APP1 (EXIF/XMP) and APP13 (IPTC)
+        const parts = [bytes.subarray(0, 2)];
+        let offset = 2;
+        
+        while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+            const marker = bytes[offset + 1];
+            
+            // Start of scan: the rest is image data
+            if (marker === 0xDA) {
+                break;
+            }
+            
+            const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+            if (marker !== 0xE1 && marker !== 0xED) {
+                parts.push(bytes.subarray(offset, offset + 2 + length));
+            }
+            offset += 2 + length;
         }
+        parts.push(bytes.subarray(offset));
+        
+        return new File(parts, file.name, { type: file.type });
     }
 
-    updateProgress(containerId, percentage) {
-        const container = document.getElementById(containerId);
-        const progressBar = container?.querySelector(".progress-bar");
+    async createImageTiles(canvas, name, type, options) {
+        const { tileSize, tileOverlap, quality } = options;
+        const step = tileSize - tileOverlap;
+        const baseName = name.replace(/\.[^.]+$/, '');
+        
+        // The last row and column are pinned to the image edge so nothing is cut off
+        const positions = (length) => {
+            if (length <= tileSize) {
+                return [0];
+            }
+            const starts = [];
+            for (let start = 0; start + tileSize < length; start += step) {
+                starts.push(start);
+            }
+            starts.push(length - tileSize);
+            return starts;
+        };
+        
+        const tiles = [];
+        const rows = positions(canvas.height);
+        const cols = positions(canvas.width);
+        
+        for (let row = 0; row < rows.length; row++) {
+            for (let col = 0; col < cols.length; col++) {
+                const x = cols[col];
+                const y = rows[row];
+                const width = Math.min(tileSize, canvas.width - x);
+                const height = Math.min(tileSize, canvas.height - y);
+                
+                const tileCanvas = document.createElement('canvas');
+                tileCanvas.width = width;
+                tileCanvas.height = height;
+                tileCanvas.getContext('2d').drawImage(canvas, x, y, width, height, 0, 0, width, height);
+                
+                tiles.push({
+                    x, y, width, height,
+                    file: await this.canvasToFile(tileCanvas, `${baseName}_tile_r${row}_c${col}`, type, quality)
+                });
+            }
+        }
+        
+        return tiles;
+    }
 
-        if (progressBar) {
-            progressBar.style.width = `${percentage}%`;
-            progressBar.setAttribute("aria-valuenow", percentage);
+    async uploadTiles(tiles, signal = null, onTile = null) {
+        const uploaded = [];
+        
+        for (let index = 0; index < tiles.length; index++) {
+            onTile?.(index, tiles.length);
+            const { file, ...placement } = tiles[index];
+            const result = await this.postUpload(file, signal);
+            uploaded.push({ ...placement, filename: result.filename });
         }
+        
+        return uploaded;
     }
 
-    hideProgress(containerId) {
-        const container = document.getElementById(containerId);
-        if (container) {
-            container.style.display = "none";
+    describePreprocessing(prepared, tiles) {
+        return {
+            width: prepared.width,
+            height: prepared.height,
+            scale_x: prepared.scaleX,
+            scale_y: prepared.scaleY,
+            steps: prepared.summary,
+            tiles: tiles
+        };
+    }
+
+    async postDetection(filename, preprocessing = null, signal = null, onProgress = null) {
+        const scaleX = preprocessing?.scale_x || 1;
+        const scaleY = preprocessing?.scale_y || 1;
+        const tiles = preprocessing?.tiles;
+        
+        if (!tiles?.length) {
+            const result = await this.postAnalysis(this.endpoints.detect, filename, 'Detection', signal);
+            if (scaleX === 1 && scaleY === 1) {
+                return result;
+            }
+            
+            const artifacts = this.scaleArtifacts(result.artifacts || [], scaleX, scaleY);
+            return { ...result, artifacts };
+        }
+        
+        // Run the detector per tile and move every box back into full-image pixels
+        let artifacts = [];
+        for (let index = 0; index < tiles.length; index++) {
+            const tile = tiles[index];
+            const result = await this.postAnalysis(
+                this.endpoints.detect,
+                tile.filename,
+                `Detection (tile ${index + 1}/${tiles.length})`,
+                signal
+            );
+            artifacts = artifacts.concat(this.scaleArtifacts(result.artifacts || [], scaleX, scaleY, tile.x, tile.y));
+            onProgress?.((index + 1) / tiles.length * 100);
         }
+        
+        const merged = this.mergeOverlappingArtifacts(artifacts);
+        return {
+            success: true,
+            artifacts: merged,
+            total_detected: merged.length,
+            tiles_analyzed: tiles.length,
+            detection_map: null
+        };
     }
 
-    showLoading(title = 'Processing', message = 'Please wait while we analyze the image...') {
-        const loadingOverlay = document.getElementById('loadingOverlay');
-        const loadingTitle = document.getElementById('loadingTitle');
-        const loadingText = document.getElementById('loadingText');
-        const loadingProgress = document.getElementById('loadingProgress');
+    mergeOverlappingArtifacts(artifacts) {
+        // Overlapping tiles see the same object twice; keep the most confident box
+        const iou = (a, b) => {
+            const x1 = Math.max(a.bbox[0], b.bbox[0]);
+            const y1 = Math.max(a.bbox[1], b.bbox[1]);
+            const x2 = Math.min(a.bbox[0] + a.bbox[2], b.bbox[0] + b.bbox[2]);
+            const y2 = Math.min(a.bbox[1] + a.bbox[3], b.bbox[1] + b.bbox[3]);
+            const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+            const union = a.bbox[2] * a.bbox[3] + b.bbox[2] * b.bbox[3] - intersection;
+            return union > 0 ? intersection / union : 0;
+        };
         
-        if (loadingOverlay && loadingTitle && loadingText && loadingProgress) {
-            loadingTitle.textContent = title;
-            loadingText.textContent = message;
-            loadingProgress.style.width = '0%';
+        const kept = [];
+        [...artifacts]
+            .sort((a, b) => (b.confidence || 0) - (a.confidence || 0))
+            .forEach(artifact => {
+                if (!kept.some(other => iou(artifact, other) > 0.5)) {
+                    kept.push(artifact);
+                }
+            });
+        
+        return kept.map((artifact, index) => ({ ...artifact, id: index + 1 }));
+    }
+
+    // Chunked Upload Methods
+    async postChunkedUpload(file, signal, tracker, source = null) {
+        const base = `${this.baseUrl}${this.endpoints.chunkedUpload}`;
+        const session = await this.openUploadSession(file, signal, source);
+        const chunkSize = session.chunk_size;
+        const totalChunks = Math.ceil(file.size / chunkSize);
+        const received = new Set(session.received_chunks || []);
+        
+        console.log(`Chunked upload ${session.upload_id}: ${received.size}/${totalChunks} chunks already on server`);
+        
+        const chunkBytes = (index) => Math.min(chunkSize, file.size - index * chunkSize);
+        let confirmedBytes = 0;
+        received.forEach(index => {
+            confirmedBytes += chunkBytes(index);
+        });
+        tracker.resume(confirmedBytes);
+        
+        for (let index = 0; index < totalChunks; index++) {
+            if (received.has(index)) {
+                continue;
+            }
             
-            loadingOverlay.style.display = 'flex';
-            setTimeout(() => {
-                loadingOverlay.classList.add('active');
-            }, 10);
+            const start = index * chunkSize;
+            const chunk = file.slice(start, start + chunkSize);
+            await this.putChunk(base, session.upload_id, index, chunk, start, file.size, signal, (loaded) => {
+                tracker.update(confirmedBytes + loaded);
+            });
             
-            // Animate progress bar
-            let progress = 0;
-            const interval = setInterval(() => {
-                progress += 1;
-                loadingProgress.style.width = `${progress}%`;
+            confirmedBytes += chunk.size;
+            tracker.update(confirmedBytes);
+        }
+        
+        const result = await this.requestJSON(`${base}/${encodeURIComponent(session.upload_id)}/complete`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify({ total_chunks: totalChunks, size: file.size })
+        }, { label: 'Upload', signal });
+        
+        if (!result.success) {
+            throw new RequestError(`Upload failed: ${result.error || 'server could not assemble the file'}`, 'server');
+        }
+        
+        this.forgetUploadSession(session.key);
+        console.log("Upload successful:", result);
+        return result;
+    }
+    
+    async openUploadSession(file, signal, source = null) {
+        const base = `${this.baseUrl}${this.endpoints.chunkedUpload}`;
+        
+        // Preprocessed files are re-encoded on every attempt, so sessions follow the original
+        // file and remember which bytes they were started with
+        const key = this.getFileFingerprint(source || file);
+        const stored = this.getUploadSessions()[key];
+        
+        // A session started with other preprocessing options or different output cannot be resumed
+        if (stored && (stored.base !== base || stored.variant !== await this.getUploadVariant(file, stored.chunk_size))) {
+            this.forgetUploadSession(key);
+        } else if (stored) {
+            // Resume from the last confirmed chunk of an interrupted upload
+            try {
+                const status = await this.requestJSON(`${base}/${encodeURIComponent(stored.upload_id)}`, {
+                    method: 'GET',
+                    headers: { 'Accept': 'application/json' }
+                }, { label: 'Upload resume', signal });
                 
-                if (progress >= 100) {
-                    clearInterval(interval);
+                return {
+                    key: key,
+                    upload_id: stored.upload_id,
+                    chunk_size: stored.chunk_size,
+                    received_chunks: status.received_chunks || []
+                };
+            } catch (error) {
+                if (!(error instanceof RequestError) || error.status !== 404) {
+                    throw error;
                 }
-            }, 100);
+                
+                // The server discarded the partial upload; start over
+                this.forgetUploadSession(key);
+            }
         }
-    }
-
-    hideLoading() {
-        const loadingOverlay = document.getElementById('loadingOverlay');
-        if (loadingOverlay) {
-            loadingOverlay.classList.remove('active');
-            setTimeout(() => {
-                loadingOverlay.style.display = 'none';
-            }, 300);
+        
+        const session = await this.requestJSON(`${base}/init`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify({
+                filename: file.name,
+                size: file.size,
+                type: file.type,
+                last_modified: file.lastModified,
+                chunk_size: this.requestConfig.chunkSize,
+                total_chunks: Math.ceil(file.size / this.requestConfig.chunkSize)
+            })
+        }, { label: 'Upload', signal });
+        
+        if (!session.upload_id) {
+            throw new RequestError('Upload failed: server did not start an upload session', 'server');
         }
+        
+        const resolved = {
+            key: key,
+            upload_id: session.upload_id,
+            chunk_size: session.chunk_size || this.requestConfig.chunkSize,
+            received_chunks: session.received_chunks || []
+        };
+        
+        this.rememberUploadSession(key, {
+            base,
+            upload_id: resolved.upload_id,
+            chunk_size: resolved.chunk_size,
+            variant: await this.getUploadVariant(file, resolved.chunk_size)
+        });
+        return resolved;
     }
 
-    updateLoadingStep(stepId, status = 'active') {
-        const step = document.getElementById(`step-${stepId}`);
-        if (step) {
-            step.className = `loading-step ${status}`;
+    async putChunk(base, uploadId, index, chunk, start, totalSize, signal, onProgress) {
+        const checksum = await this.sha256Hex(chunk);
+        const label = `Upload chunk ${index + 1}`;
+        
+        for (let attempt = 1; ; attempt++) {
+            const result = await this.requestJSON(`${base}/${encodeURIComponent(uploadId)}/chunks/${index}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/octet-stream',
+                    'Content-Range': `bytes ${start}-${start + chunk.size - 1}/${totalSize}`,
+                    ...(checksum ? { 'X-Chunk-SHA256': checksum } : {})
+                },
+                body: chunk
+            }, {
+                label,
+                timeout: this.requestConfig.uploadTimeout,
+                signal,
+                onUploadProgress: onProgress
+            });
             
-            if (status === 'completed') {
-                const icon = step.querySelector('i');
-                if (icon) {
-                    icon.className = 'fas fa-check-circle text-success';
-                }
-            } else if (status === 'active') {
-                const icon = step.querySelector('i');
-                if (icon) {
-                    icon.className = 'fas fa-circle-notch fa-spin';
-                }
+            // The server echoes the digest of what it stored; a mismatch means corruption in transit
+            if (!checksum || !result.sha256 || result.sha256 === checksum) {
+                return result;
+            }
+            
+            if (attempt >= this.requestConfig.chunkIntegrityRetries) {
+                throw new RequestError(`${label} failed integrity check`, 'server');
             }
+            
+            console.warn(`${label} checksum mismatch, re-sending (${attempt}/${this.requestConfig.chunkIntegrityRetries})`);
         }
     }
 
-    showNotification(message, type = 'info') {
-        const toast = document.getElementById('notificationToast');
-        const toastTitle = document.getElementById('toastTitle');
-        const toastMessage = document.getElementById('toastMessage');
-
-        if (!toast || !toastTitle || !toastMessage) return;
+    async sha256Hex(blob) {
+        // SubtleCrypto is only available in secure contexts
+        if (!window.crypto?.subtle) {
+            return null;
+        }
+        
+        const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
 
-        // Set title based on type
-        let title = 'Notification';
-        let bgClass = 'bg-primary';
-        let icon = 'fa-bell';
+    getFileFingerprint(file) {
+        return `${file.name}:${file.size}:${file.lastModified}`;
+    }
+    
+    async getUploadVariant(file, chunkSize) {
+        // The first chunk's digest tells a repeat of the same encoding from a different one
+        const head = await this.sha256Hex(file.slice(0, chunkSize));
+        return JSON.stringify({ size: file.size, type: file.type, head, preprocess: this.settings.preprocess });
+    }
 
-        switch (type) {
-            case 'success':
-                title = 'Success';
-                bgClass = 'bg-success';
-                icon = 'fa-check-circle';
-                break;
-            case 'error':
-                title = 'Error';
-                bgClass = 'bg-danger';
-                icon = 'fa-exclamation-circle';
-                break;
-            case 'warning':
-                title = 'Warning';
-                bgClass = 'bg-warning';
-                icon = 'fa-exclamation-triangle';
-                break;
-            case 'info':
-                title = 'Info';
-                bgClass = 'bg-info';
-                icon = 'fa-info-circle';
-                break;
+    getUploadSessions() {
+        try {
+            return JSON.parse(localStorage.getItem(this.uploadSessionsKey)) || {};
+        } catch (error) {
+            return {};
         }
+    }
 
-        toastTitle.innerHTML = `<i class="fas ${icon} me-2"></i>${title}`;
-        toastMessage.textContent = message;
+    rememberUploadSession(key, session) {
+        const sessions = this.getUploadSessions();
+        sessions[key] = { ...session, created_at: new Date().toISOString() };
+        localStorage.setItem(this.uploadSessionsKey, JSON.stringify(sessions));
+    }
 
-        const toastHeader = toast.querySelector('.toast-header');
-        if (toastHeader) {
-            toastHeader.className = `toast-header text-white ${bgClass}`;
-        }
+    forgetUploadSession(key) {
+        const sessions = this.getUploadSessions();
+        delete sessions[key];
+        localStorage.setItem(this.uploadSessionsKey, JSON.stringify(sessions));
+    }
 
-        // Show toast
-        const bsToast = new bootstrap.Toast(toast, {
-            autohide: true,
-            delay: type === 'error' ? 5000 : 3000
-        });
-        bsToast.show();
+    createTransferTracker(total, onProgress) {
+        const startTime = performance.now();
+        let resumedBytes = 0;
+        let lastTime = startTime;
+        let lastLoaded = 0;
+        let speed = null;
+        
+        return {
+            // Bytes already on the server do not count towards the transfer speed
+            resume: (loaded) => {
+                resumedBytes = loaded;
+                lastLoaded = loaded;
+                onProgress?.({ loaded, total, speed: null, eta: null, resumed: loaded });
+            },
+            update: (loaded) => {
+                const now = performance.now();
+                const elapsed = (now - lastTime) / 1000;
+                
+                // Smooth the rate so the ETA does not jump around between events
+                if (elapsed >= 0.25) {
+                    const instant = Math.max(0, loaded - lastLoaded) / elapsed;
+                    speed = speed === null ? instant : speed * 0.7 + instant * 0.3;
+                    lastTime = now;
+                    lastLoaded = loaded;
+                } else if (speed === null && now > startTime) {
+                    speed = (loaded - resumedBytes) / ((now - startTime) / 1000);
+                }
+                
+                const eta = speed > 0 ? (total - loaded) / speed : null;
+                onProgress?.({ loaded, total, speed, eta, resumed: resumedBytes });
+            }
+        };
     }
 
-    updateImageInfoUI() {
-        const currentImageInfo = document.getElementById('currentImageInfo');
-        const imageStats = document.getElementById('imageStats');
+    updateUploadProgress({ loaded, total, speed, eta, resumed }) {
+        const percentage = total ? Math.round(loaded / total * 100) : 0;
+        this.updateProgress('uploadProgress', percentage);
         
-        if (currentImageInfo && this.currentImage) {
-            currentImageInfo.textContent = this.currentImage.original_name;
+        const status = document.getElementById('uploadStatus');
+        if (!status) {
+            return;
         }
         
-        if (imageStats && this.currentImage) {
-            imageStats.textContent = this.currentImage.image_size;
+        const parts = [`${this.formatBytes(loaded)} / ${this.formatBytes(total)} (${percentage}%)`];
+        if (speed) {
+            parts.push(`${this.formatBytes(speed)}/s`);
+        }
+        if (eta !== null && eta !== undefined && loaded < total) {
+            parts.push(`ETA ${this.formatDuration(eta)}`);
+        }
+        if (resumed) {
+            parts.push(`resumed at ${this.formatBytes(resumed)}`);
         }
         
-        // Also update legend values
-        this.updateLegendValues();
+        status.textContent = `Uploading ${parts.join(' · ')}`;
     }
 
-    updateLegendValues() {
-        const seg = this.processingResults.segmentation;
-        const det = this.processingResults.detection;
-        
-        // Update legend values
-        const legendArtifacts = document.getElementById('legendArtifacts');
-        const legendRuins = document.getElementById('legendRuins');
-        const legendVegetation = document.getElementById('legendVegetation');
-        const legendWater = document.getElementById('legendWater');
-        const legendStructures = document.getElementById('legendStructures');
-        
-        if (legendArtifacts) {
-            legendArtifacts.textContent = det?.total_detected || 0;
+    formatBytes(bytes) {
+        if (bytes < 1024) {
+            return `${Math.round(bytes)} B`;
         }
         
-        if (legendRuins) {
-            legendRuins.textContent = seg?.ruins_percentage ? `${seg.ruins_percentage.toFixed(1)}%` : '0%';
+        const units = ['KB', 'MB', 'GB'];
+        let value = bytes / 1024;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
         }
         
-        if (legendVegetation) {
-            legendVegetation.textContent = seg?.vegetation_percentage ? `${seg.vegetation_percentage.toFixed(1)}%` : '0%';
+        return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+    }
+
+    formatDuration(seconds) {
+        if (!Number.isFinite(seconds)) {
+            return '--';
         }
         
-        if (legendWater) {
-            legendWater.textContent = seg?.water_percentage ? `${seg.water_percentage.toFixed(1)}%` : '0%';
-        }
+        const total = Math.ceil(seconds);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = total % 60;
         
-        if (legendStructures) {
-            legendStructures.textContent = det?.artifacts?.filter(a => a.type?.includes('Structure') || a.type?.includes('Building')).length || 0;
+        if (hours) {
+            return `${hours}h ${minutes}m`;
         }
+        
+        return minutes ? `${minutes}m ${secs}s` : `${secs}s`;
     }
 
-    enableProcessingButtons(enabled) {
-        const buttons = ['segmentBtn', 'detectBtn', 'allBtn'];
+    async postAnalysis(endpoint, filename, label, signal = null) {
+        const result = await this.requestJSON(`${this.baseUrl}${endpoint}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify({
+                filename: filename
+            })
+        }, { label, signal });
         
-        buttons.forEach(btnId => {
-            const btn = document.getElementById(btnId);
-            if (btn) {
-                btn.disabled = !enabled;
-                if (!enabled) {
-                    btn.classList.add('disabled');
-                } else {
-                    btn.classList.remove('disabled');
-                }
-            }
+        console.log(`${label} result:`, result);
+        
+        if (!result.success) {
+            throw new RequestError(`${label} failed: ${result.error || 'server reported an error'}`, 'server');
+        }
+        
+        return result;
+    }
+
+    // Cancellation & Fallback Methods
+    beginOperation() {
+        this.activeOperation = new AbortController();
+        document.querySelectorAll('.cancel-operation-btn').forEach(btn => {
+            btn.style.display = '';
+            btn.disabled = false;
         });
+        return this.activeOperation.signal;
     }
 
-    updateResultsPanel(type, data) {
+    endOperation() {
+        this.activeOperation = null;
+        document.querySelectorAll('.cancel-operation-btn').forEach(btn => {
+            btn.style.display = 'none';
+        });
+    }
+
+    cancelOperation() {
+        if (!this.activeOperation) {
+            return;
+        }
+        
+        this.activeOperation.abort();
+        document.querySelectorAll('.cancel-operation-btn').forEach(btn => {
+            btn.disabled = true;
+        });
+    }
+
+    throwIfCancelled() {
+        if (this.activeOperation?.signal.aborted) {
+            throw new RequestError('Cancelled', 'cancelled');
+        }
+    }
+
+    async runWithBackendFallback(label, run, runOffline) {
+        for (;;) {
+            const wasOnline = this.isOnline;
+            
+            try {
+                await run();
+                return true;
+            } catch (error) {
+                if (error instanceof RequestError && error.kind === 'cancelled') {
+                    this.showNotification(`${label} cancelled`, 'info');
+                    return false;
+                }
+                
+                console.error(`${label} failed:`, error);
+                
+                // Offline failures have nothing to fall back to
+                if (!wasOnline) {
+                    this.showNotification(`${label} failed: ${error.message}`, 'error');
+                    return false;
+                }
+                
+                const choice = await this.askOfflineFallback(label, error);
+                
+                if (choice === 'retry') {
+                    continue;
+                }
+                
+                if (choice === 'offline') {
+                    this.isOnline = false;
+                    this.updateBackendStatusUI(false);
+                    
+                    try {
+                        await runOffline();
+                        return true;
+                    } catch (offlineError) {
+                        console.error(`Offline ${label.toLowerCase()} failed:`, offlineError);
+                        this.showNotification(`${label} failed offline: ${offlineError.message}`, 'error');
+                    }
+                }
+                
+                return false;
+            }
+        }
+    }
+
+    askOfflineFallback(label, error) {
+        const modalElement = document.getElementById('backendErrorModal');
+        if (!modalElement) {
+            this.showNotification(`${label} failed: ${error.message}`, 'error');
+            return Promise.resolve('cancel');
+        }
+        
+        document.getElementById('backendErrorTitle').textContent = `${label} failed`;
+        document.getElementById('backendErrorMessage').textContent = error.message;
+        
+        return new Promise((resolve) => {
+            const modal = bootstrap.Modal.getOrCreateInstance(modalElement);
+            let choice = 'cancel';
+            
+            const onClick = (e) => {
+                const button = e.target.closest('[data-choice]');
+                if (button) {
+                    choice = button.dataset.choice;
+                    modal.hide();
+                }
+            };
+            
+            const onHidden = () => {
+                modalElement.removeEventListener('click', onClick);
+                modalElement.removeEventListener('hidden.bs.modal', onHidden);
+                resolve(choice);
+            };
+            
+            modalElement.addEventListener('click', onClick);
+            modalElement.addEventListener('hidden.bs.modal', onHidden);
+            modal.show();
+        });
+    }
+
+    async uploadOffline() {
+        this.updateProgress('uploadProgress', 50);
+        await this.delay(1000);
+        
+        this.currentImage = {
+            filename: this.selectedFile.name,
+            original_name: this.selectedFile.name,
+            image_size: `${(this.selectedFile.size/(1024*1024)).toFixed(2)} MB`,
+            preview_url: URL.createObjectURL(this.selectedFile),
+            upload_timestamp: new Date().toISOString(),
+            georeference: this.selectedGeoreference,
+            server_data: null,
+            source_file: this.selectedFile
+        };
+        
+        this.updateProgress('uploadProgress', 100);
+        this.showNotification('Image loaded for offline processing', 'success');
+        
+        // Display local image; TIFFs are decoded up front because browsers cannot show them
+        if (this.selectedGeoreference?.preview_url) {
+            this.currentImage.preview_url = this.selectedGeoreference.preview_url;
+            await this.displayImage(this.selectedGeoreference.preview_url);
+        } else {
+            await this.displayLocalImage(this.selectedFile);
+        }
+        
+        // Update UI and enable buttons
+        this.updateImageInfoUI();
+        this.enableProcessingButtons(true);
+        this.saveProject();
+    }
+
+    displayLocalImage(file) {
+        return new Promise((resolve) => {
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                const imgUrl = e.target.result;
+                this.displayImage(imgUrl);
+                resolve();
+            };
+            reader.readAsDataURL(file);
+        });
+    }
+
+    displayImage(imgUrl, bounds = this.currentImage?.georeference?.bounds) {
+        this.closeGeoreferencing();
+        this.closeReview();
+        
+        // Clear previous image if exists
+        if (this.imageOverlay) {
+            this.map.removeLayer(this.imageOverlay);
+        }
+        
+        // Clear previous layers
+        if (this.artifactsLayer) {
+            this.map.removeLayer(this.artifactsLayer);
+            this.artifactsLayer = null;
+        }
+        
+        this.annotationsLayer?.clearLayers();
+        this.clearDensityLayers();
+        
+        if (this.segmentationLayer) {
+            this.map.removeLayer(this.segmentationLayer);
+            this.segmentationLayer = null;
+        }
+        
+        // Without a georeference, place the image over the current view
+        if (!bounds) {
+            const view = this.map.getBounds();
+            bounds = [[view.getSouth(), view.getWest()], [view.getNorth(), view.getEast()]];
+        }
+        
+        // Create and add image overlay
+        this.imageSize = null;
+        this.imageOverlay = L.imageOverlay(imgUrl, bounds, {
+            opacity: this.settings.overlayOpacity,
+            interactive: true,
+            className: 'archaeo-image-overlay'
+        }).addTo(this.map);
+        
+        // Remember natural pixel size for pixel-to-map conversions
+        this.imageOverlay.once('load', () => {
+            const element = this.imageOverlay.getElement();
+            if (element && element.naturalWidth) {
+                this.imageSize = {
+                    width: element.naturalWidth,
+                    height: element.naturalHeight
+                };
+                
+                // Results that arrived before the image finished loading need re-placing
+                if (this.processingResults.detection) {
+                    this.displayDetectionResult(this.processingResults.detection);
+                }
+            }
+        });
+        
+        // Fit map to image
+        this.map.fitBounds(bounds);
+        
+        // Store image bounds
+        this.imageBounds = bounds;
+        
+        console.log("Image displayed on map");
+    }
+
+    // Georeferencing Methods
+    async resolveImageGeoreference(file, { interactive = true } = {}) {
+        let georeference = null;
+        let previewUrl = null;
+        
+        // GeoTIFFs carry their own geotransform and CRS
+        if (this.isTiffFile(file)) {
+            try {
+                const geotiff = await this.readGeoTIFF(file, { interactive });
+                if (geotiff.bounds) {
+                    if (interactive) {
+                        this.showNotification(`GeoTIFF placed using ${geotiff.crs}`, 'success');
+                    }
+                    return geotiff;
+                }
+                previewUrl = geotiff.preview_url;
+            } catch (error) {
+                console.warn('GeoTIFF decoding failed:', error.message);
+            }
+        }
+        
+        // Only Safari displays HEIC natively; decode to JPEG for every other browser
+        if (this.isHeicFile(file)) {
+            try {
+                previewUrl = await this.decodeHeic(file);
+            } catch (error) {
+                console.warn('HEIC decoding failed:', error.message);
+            }
+        }
+        
+        try {
+            georeference = await this.readExifGeoreference(file);
+        } catch (error) {
+            console.warn('EXIF parsing failed:', error.message);
+        }
+        
+        if (georeference) {
+            georeference.preview_url = previewUrl;
+            if (interactive) {
+                this.showNotification(
+                    `Image placed from EXIF GPS (${georeference.latitude.toFixed(5)}, ${georeference.longitude.toFixed(5)})`,
+                    'success'
+                );
+            }
+            return georeference;
+        }
+        
+        // Batch frames are never prompted for; they keep whatever preview was decoded
+        if (!interactive) {
+            return previewUrl ? { source: 'none', bounds: null, preview_url: previewUrl } : null;
+        }
+        
+        // No GPS tags: let the user type the bounds in
+        const bounds = await this.promptForBounds(file.name);
+        if (!bounds && !previewUrl) {
+            return null;
+        }
+        return { source: bounds ? 'manual' : 'map_view', bounds: bounds, preview_url: previewUrl };
+    }
+
+    isTiffFile(file) {
+        return /\.tiff?$/i.test(file.name) || file.type === 'image/tiff';
+    }
+
+    isHeicFile(file) {
+        return /\.hei[cf]$/i.test(file.name) || file.type === 'image/heic' || file.type === 'image/heif';
+    }
+
+    async decodeHeic(file) {
+        if (!window.heic2any) {
+            throw new Error('HEIC library not loaded');
+        }
+        
+        const decoded = await heic2any({ blob: file, toType: 'image/jpeg', quality: 0.92 });
+        return URL.createObjectURL(Array.isArray(decoded) ? decoded[0] : decoded);
+    }
+
+    async readGeoTIFF(file, { interactive = true } = {}) {
+        if (!window.GeoTIFF) {
+            throw new Error('GeoTIFF library not loaded');
+        }
+        
+        const tiff = await GeoTIFF.fromBlob(file);
+        const image = await tiff.getImage();
+        const width = image.getWidth();
+        const height = image.getHeight();
+        
+        const georeference = {
+            source: 'geotiff',
+            width: width,
+            height: height,
+            bounds: null,
+            crs: null,
+            preview_url: await this.renderGeoTIFFPreview(image)
+        };
+        
+        // Images without tiepoints are plain TIFFs
+        const geoKeys = image.getGeoKeys();
+        if (!geoKeys || (!image.getTiePoints()?.length && !image.fileDirectory.ModelTransformation)) {
+            return georeference;
+        }
+        
+        const epsg = geoKeys.ProjectedCSTypeGeoKey || geoKeys.GeographicTypeGeoKey;
+        if (!epsg || epsg === 32767) {
+            console.warn('GeoTIFF uses a user-defined CRS, which is not supported');
+            return georeference;
+        }
+        
+        const definition = await this.getProjectionDefinition(epsg, interactive);
+        if (!definition) {
+            console.warn(`GeoTIFF uses EPSG:${epsg}, which has no known definition`);
+            return georeference;
+        }
+        
+        const [minX, minY, maxX, maxY] = image.getBoundingBox();
+        
+        // Reproject all four corners; the envelope covers rotated grids too
+        const corners = [[minX, minY], [maxX, minY], [maxX, maxY], [minX, maxY]]
+            .map(corner => proj4(definition, 'EPSG:4326', corner));
+        const lngs = corners.map(corner => corner[0]);
+        const lats = corners.map(corner => corner[1]);
+        
+        georeference.crs = `EPSG:${epsg}`;
+        georeference.origin = image.getOrigin();
+        georeference.resolution = image.getResolution();
+        georeference.bounds = [
+            [Math.min(...lats), Math.min(...lngs)],
+            [Math.max(...lats), Math.max(...lngs)]
+        ];
+        
+        return georeference;
+    }
+
+    async getProjectionDefinition(epsg, interactive = true) {
+        if (!window.proj4) {
+            throw new Error('proj4 library not loaded');
+        }
+        
+        // proj4 already knows EPSG:4326, 4269 and 3857
+        const code = `EPSG:${epsg}`;
+        if (proj4.defs(code)) {
+            return code;
+        }
+        
+        // Image locations must not leave the browser, so definitions are never looked up online
+        const definition = this.getBuiltInProjection(epsg);
+        if (definition) {
+            proj4.defs(code, definition);
+            return code;
+        }
+        
+        if (!interactive) {
+            return null;
+        }
+        
+        return this.promptForProjection(code);
+    }
+    
+    promptForProjection(code) {
+        const modalElement = document.getElementById('projectionModal');
+        const input = document.getElementById('projectionDefinition');
+        if (!modalElement || !input) {
+            return Promise.resolve(null);
+        }
+        
+        const codeLabel = document.getElementById('projectionCode');
+        if (codeLabel) {
+            codeLabel.textContent = code;
+        }
+        input.value = '';
+        input.classList.remove('is-invalid');
+        
+        return new Promise((resolve) => {
+            const modal = bootstrap.Modal.getOrCreateInstance(modalElement);
+            const applyBtn = document.getElementById('applyProjectionBtn');
+            let result = null;
+            
+            const onApply = () => {
+                const definition = input.value.trim();
+                
+                // Only keep definitions proj4 can actually transform with
+                try {
+                    if (!definition) {
+                        throw new Error('empty definition');
+                    }
+                    proj4.defs(code, definition);
+                    const [lng, lat] = proj4(code, 'EPSG:4326', [0, 0]);
+                    if (!Number.isFinite(lng) || !Number.isFinite(lat)) {
+                        throw new Error('no usable transform');
+                    }
+                } catch (error) {
+                    delete proj4.defs[code];
+                    input.classList.add('is-invalid');
+                    return;
+                }
+                
+                result = code;
+                modal.hide();
+            };
+            
+            const onInput = () => input.classList.remove('is-invalid');
+            
+            const onHidden = () => {
+                applyBtn?.removeEventListener('click', onApply);
+                input.removeEventListener('input', onInput);
+                modalElement.removeEventListener('hidden.bs.modal', onHidden);
+                resolve(result);
+            };
+            
+            applyBtn?.addEventListener('click', onApply);
+            input.addEventListener('input', onInput);
+            modalElement.addEventListener('hidden.bs.modal', onHidden);
+            modal.show();
+        });
+    }
+    
+    getBuiltInProjection(epsg) {
+        // WGS84 / UTM zones cover most survey orthomosaics
+        if (epsg >= 32601 && epsg <= 32660) {
+            return `+proj=utm +zone=${epsg - 32600} +datum=WGS84 +units=m +no_defs`;
+        }
+        
+        if (epsg >= 32701 && epsg <= 32760) {
+            return `+proj=utm +zone=${epsg - 32700} +south +datum=WGS84 +units=m +no_defs`;
+        }
+        
+        // ETRS89 / UTM (Europe) and NAD83 / UTM (North America)
+        if (epsg >= 25828 && epsg <= 25838) {
+            return `+proj=utm +zone=${epsg - 25800} +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs`;
+        }
+        
+        if (epsg >= 26901 && epsg <= 26923) {
+            return `+proj=utm +zone=${epsg - 26900} +datum=NAD83 +units=m +no_defs`;
+        }
+        
+        const definitions = {
+            // ETRS89 geographic
+            4258: '+proj=longlat +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +no_defs',
+            // ETRS89 / LAEA Europe
+            3035: '+proj=laea +lat_0=52 +lon_0=10 +x_0=4321000 +y_0=3210000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+            // RGF93 / Lambert-93 (France)
+            2154: '+proj=lcc +lat_0=46.5 +lon_0=3 +lat_1=49 +lat_2=44 +x_0=700000 +y_0=6600000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+            // OSGB36 / British National Grid
+            27700: '+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy +towgs84=446.448,-125.157,542.06,0.15,0.247,0.842,-20.489 +units=m +no_defs'
+        };
+        
+        return definitions[epsg] || null;
+    }
+
+    async renderGeoTIFFPreview(image) {
+        // Orthomosaics can be tens of thousands of pixels wide; cap the preview size
+        const maxSide = 4096;
+        const scale = Math.min(1, maxSide / Math.max(image.getWidth(), image.getHeight()));
+        const width = Math.round(image.getWidth() * scale);
+        const height = Math.round(image.getHeight() * scale);
+        
+        const rgb = await image.readRGB({ width: width, height: height, interleave: true });
+        const bitsPerSample = image.fileDirectory.BitsPerSample?.[0] || 8;
+        const maxValue = Math.pow(2, bitsPerSample) - 1;
+        const noData = image.getGDALNoData();
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.createImageData(width, height);
+        const pixels = imageData.data;
+        
+        for (let i = 0, j = 0; i < rgb.length; i += 3, j += 4) {
+            const r = rgb[i], g = rgb[i + 1], b = rgb[i + 2];
+            pixels[j] = maxValue > 255 ? (r / maxValue) * 255 : r;
+            pixels[j + 1] = maxValue > 255 ? (g / maxValue) * 255 : g;
+            pixels[j + 2] = maxValue > 255 ? (b / maxValue) * 255 : b;
+            pixels[j + 3] = noData !== null && r === noData && g === noData && b === noData ? 0 : 255;
+        }
+        ctx.putImageData(imageData, 0, 0);
+        
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        return URL.createObjectURL(blob);
+    }
+
+    async readExifGeoreference(file) {
+        if (!window.exifr) {
+            console.warn('exifr not loaded, skipping EXIF georeferencing');
+            return null;
+        }
+        
+        const exif = await exifr.parse(file, { tiff: true, exif: true, gps: true, xmp: true });
+        if (!exif || typeof exif.latitude !== 'number' || typeof exif.longitude !== 'number') {
+            return null;
+        }
+        
+        const dimensions = await this.readImageDimensions(file).catch(() => null);
+        const width = dimensions?.width || exif.ExifImageWidth || exif.ImageWidth || null;
+        const height = dimensions?.height || exif.ExifImageHeight || exif.ImageHeight || null;
+        
+        // DJI and similar drones record height above the take-off point in XMP,
+        // which is far closer to height above ground than the GPS altitude
+        const relativeAltitude = parseFloat(exif.RelativeAltitude);
+        const gpsAltitude = typeof exif.GPSAltitude === 'number'
+            ? exif.GPSAltitude * (exif.GPSAltitudeRef === 1 ? -1 : 1)
+            : null;
+        
+        const georeference = {
+            source: 'exif',
+            latitude: exif.latitude,
+            longitude: exif.longitude,
+            altitude: gpsAltitude,
+            relative_altitude: Number.isFinite(relativeAltitude) ? relativeAltitude : null,
+            focal_length: exif.FocalLength || null,
+            focal_length_35mm: exif.FocalLengthIn35mmFormat || null,
+            width: width,
+            height: height,
+            camera: [exif.Make, exif.Model].filter(Boolean).join(' ') || null
+        };
+        
+        georeference.bounds = this.computeFootprintBounds(georeference);
+        return georeference;
+    }
+
+    readImageDimensions(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve({ width: image.naturalWidth, height: image.naturalHeight });
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Image could not be decoded'));
+            };
+            image.src = url;
+        });
+    }
+
+    computeFootprintBounds(georeference) {
+        // Height above ground: prefer the drone's relative altitude, then GPS altitude,
+        // then a typical survey flight height
+        const heightAboveGround = georeference.relative_altitude
+            || (georeference.altitude > 0 ? georeference.altitude : null)
+            || 100;
+        
+        // Ground width covered by a nadir photo: H * sensorWidth / focalLength.
+        // The 35mm-equivalent focal length pairs with a 36mm sensor; with only the
+        // true focal length we assume a 1" drone sensor (13.2mm wide).
+        let groundWidth;
+        if (georeference.focal_length_35mm) {
+            groundWidth = heightAboveGround * 36 / georeference.focal_length_35mm;
+        } else if (georeference.focal_length) {
+            groundWidth = heightAboveGround * 13.2 / georeference.focal_length;
+        } else {
+            groundWidth = heightAboveGround * 36 / 24;
+        }
+        
+        const aspect = georeference.width && georeference.height
+            ? georeference.height / georeference.width
+            : 3 / 4;
+        const groundHeight = groundWidth * aspect;
+        
+        // Metres to degrees around the photo centre; image heading is not applied
+        // because Leaflet image overlays are axis-aligned
+        const metresPerDegreeLat = 111320;
+        const metresPerDegreeLng = 111320 * Math.cos(georeference.latitude * Math.PI / 180);
+        const halfLat = (groundHeight / 2) / metresPerDegreeLat;
+        const halfLng = (groundWidth / 2) / metresPerDegreeLng;
+        
+        georeference.ground_width_m = parseFloat(groundWidth.toFixed(2));
+        georeference.ground_height_m = parseFloat(groundHeight.toFixed(2));
+        
+        return [
+            [georeference.latitude - halfLat, georeference.longitude - halfLng],
+            [georeference.latitude + halfLat, georeference.longitude + halfLng]
+        ];
+    }
+
+    promptForBounds(fileName) {
+        const modalElement = document.getElementById('boundsModal');
+        if (!modalElement) {
+            return Promise.resolve(null);
+        }
+        
+        const fields = ['South', 'West', 'North', 'East'];
+        const view = this.map.getBounds();
+        const defaults = [view.getSouth(), view.getWest(), view.getNorth(), view.getEast()];
+        
+        fields.forEach((field, index) => {
+            const input = document.getElementById(`bounds${field}`);
+            if (input) {
+                input.value = defaults[index].toFixed(6);
+            }
+        });
+        
+        const fileLabel = document.getElementById('boundsFileName');
+        if (fileLabel) {
+            fileLabel.textContent = fileName;
+        }
+        
+        return new Promise((resolve) => {
+            const modal = bootstrap.Modal.getOrCreateInstance(modalElement);
+            const applyBtn = document.getElementById('applyBoundsBtn');
+            let result = null;
+            
+            const onApply = () => {
+                const [south, west, north, east] = fields.map(field =>
+                    parseFloat(document.getElementById(`bounds${field}`)?.value)
+                );
+                
+                if (![south, west, north, east].every(Number.isFinite) || south >= north || west >= east ||
+                    south < -90 || north > 90 || west < -180 || east > 180) {
+                    this.showNotification('Please enter valid bounds (south < north, west < east)', 'warning');
+                    return;
+                }
+                
+                result = [[south, west], [north, east]];
+                modal.hide();
+            };
+            
+            const onHidden = () => {
+                applyBtn?.removeEventListener('click', onApply);
+                modalElement.removeEventListener('hidden.bs.modal', onHidden);
+                
+                if (!result) {
+                    this.showNotification('No GPS data found; image placed over the current map view', 'info');
+                }
+                resolve(result);
+            };
+            
+            applyBtn?.addEventListener('click', onApply);
+            modalElement.addEventListener('hidden.bs.modal', onHidden);
+            modal.show();
+        });
+    }
+
+    // Ground Control Point Georeferencing
+    startGeoreferencing() {
+        if (!this.imageOverlay || !this.imageSize) {
+            this.showNotification('Load an image before georeferencing it', 'warning');
+            return;
+        }
+        
+        if (this.georef) {
+            return;
+        }
+        
+        const panel = document.getElementById('georefPanel');
+        if (!panel) {
+            return;
+        }
+        panel.style.display = 'flex';
+        
+        // Pixel-space viewer: Leaflet latlng (-y, x) corresponds to image pixel (x, y)
+        const { width, height } = this.imageSize;
+        const viewer = L.map('georefImageView', {
+            crs: L.CRS.Simple,
+            minZoom: -5,
+            maxZoom: 4,
+            attributionControl: false
+        });
+        const imageBounds = [[-height, 0], [0, width]];
+        L.imageOverlay(this.imageOverlay._url, imageBounds).addTo(viewer);
+        viewer.fitBounds(imageBounds);
+        
+        // Points are stored in the pixel grid detections use, which for GeoTIFFs is the source raster
+        const source = this.getImagePixelSize() || this.imageSize;
+        
+        this.georef = {
+            viewer: viewer,
+            scaleX: source.width / width,
+            scaleY: source.height / height,
+            gcps: [],
+            pendingPixel: null,
+            pendingMarker: null,
+            result: null,
+            onMapClick: (e) => this.addGeorefMapPoint(e.latlng)
+        };
+        
+        viewer.on('click', (e) => this.addGeorefImagePoint(e.latlng));
+        this.map.on('click', this.georef.onMapClick);
+        this.map.getContainer().classList.add('georef-active');
+        
+        // Restore points from a previous fit so they can be refined
+        this.currentImage?.georeference?.gcps?.forEach(gcp => {
+            this.addGeorefImagePoint(L.latLng(-gcp.pixel[1] / this.georef.scaleY, gcp.pixel[0] / this.georef.scaleX));
+            this.addGeorefMapPoint(L.latLng(gcp.latlng[0], gcp.latlng[1]));
+        });
+        
+        this.updateGeorefPanel();
+    }
+
+    addGeorefImagePoint(latlng) {
+        if (!this.georef) {
+            return;
+        }
+        
+        if (this.georef.pendingMarker) {
+            this.georef.viewer.removeLayer(this.georef.pendingMarker);
+        }
+        
+        const pixel = [Math.round(latlng.lng * this.georef.scaleX), Math.round(-latlng.lat * this.georef.scaleY)];
+        const number = this.georef.gcps.length + 1;
+        this.georef.pendingPixel = pixel;
+        this.georef.pendingMarker = L.marker(latlng, { icon: this.createGcpIcon(number, true) })
+            .addTo(this.georef.viewer);
+        
+        this.updateGeorefPanel();
+    }
+
+    addGeorefMapPoint(latlng) {
+        if (!this.georef) {
+            return;
+        }
+        
+        if (!this.georef.pendingPixel) {
+            this.showNotification('Click the point on the image first, then on the map', 'info');
+            return;
+        }
+        
+        const number = this.georef.gcps.length + 1;
+        const mapMarker = L.marker(latlng, { icon: this.createGcpIcon(number, false) }).addTo(this.map);
+        this.georef.pendingMarker.setIcon(this.createGcpIcon(number, false));
+        
+        this.georef.gcps.push({
+            pixel: this.georef.pendingPixel,
+            latlng: [latlng.lat, latlng.lng],
+            imageMarker: this.georef.pendingMarker,
+            mapMarker: mapMarker
+        });
+        this.georef.pendingPixel = null;
+        this.georef.pendingMarker = null;
+        
+        this.fitGeoreference();
+        this.updateGeorefPanel();
+    }
+
+    removeGeorefPoint(index) {
+        if (!this.georef) {
+            return;
+        }
+        
+        const [gcp] = this.georef.gcps.splice(index, 1);
+        if (gcp) {
+            this.georef.viewer.removeLayer(gcp.imageMarker);
+            this.map.removeLayer(gcp.mapMarker);
+        }
+        
+        // Renumber the remaining markers
+        this.georef.gcps.forEach((point, i) => {
+            point.imageMarker.setIcon(this.createGcpIcon(i + 1, false));
+            point.mapMarker.setIcon(this.createGcpIcon(i + 1, false));
+        });
+        
+        this.fitGeoreference();
+        this.updateGeorefPanel();
+    }
+
+    createGcpIcon(number, pending) {
+        return L.divIcon({
+            className: `gcp-marker${pending ? ' pending' : ''}`,
+            html: `<span>${number}</span>`,
+            iconSize: [22, 22],
+            iconAnchor: [11, 11]
+        });
+    }
+
+    fitGeoreference() {
+        const gcps = this.georef.gcps;
+        this.georef.result = null;
+        
+        if (gcps.length < 3) {
+            return;
+        }
+        
+        const transform = this.fitScaleTranslation(
+            gcps.map(gcp => gcp.pixel),
+            gcps.map(gcp => [gcp.latlng[1], gcp.latlng[0]])
+        );
+        
+        if (!transform) {
+            this.showNotification('Control points line up; spread them across the image both horizontally and vertically', 'warning');
+            return;
+        }
+        
+        // Residuals in metres between the clicked and the fitted position
+        const residuals = gcps.map(gcp => {
+            const [lat, lng] = this.applyAffineTransform(transform, gcp.pixel[0], gcp.pixel[1]);
+            return this.map.distance([lat, lng], gcp.latlng);
+        });
+        const rmse = Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / residuals.length);
+        
+        this.georef.result = { transform, residuals, rmse };
+    }
+
+    fitScaleTranslation(pixels, coords) {
+        // Leaflet image overlays cannot rotate or shear, so the fit is restricted to
+        // scale and translation: least squares for lng = a*x + c and lat = e*y + f
+        const fitAxis = (values, targets) => {
+            const normal = [[0, 0], [0, 0]];
+            const rhs = [0, 0];
+            
+            values.forEach((value, i) => {
+                const row = [value, 1];
+                for (let r = 0; r < 2; r++) {
+                    for (let c = 0; c < 2; c++) {
+                        normal[r][c] += row[r] * row[c];
+                    }
+                    rhs[r] += row[r] * targets[i];
+                }
+            });
+            
+            return this.solveLinearSystem(normal, rhs);
+        };
+        
+        const lngFit = fitAxis(pixels.map(pixel => pixel[0]), coords.map(coord => coord[0]));
+        const latFit = fitAxis(pixels.map(pixel => pixel[1]), coords.map(coord => coord[1]));
+        
+        if (!lngFit || !latFit) {
+            return null;
+        }
+        
+        // Stored in the general affine form so pixel lookups stay unchanged
+        return { lng: [lngFit[0], 0, lngFit[1]], lat: [0, latFit[0], latFit[1]] };
+    }
+
+    solveLinearSystem(matrix, rhs) {
+        // Gaussian elimination with partial pivoting
+        const n = rhs.length;
+        const a = matrix.map((row, i) => [...row, rhs[i]]);
+        
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) {
+                    pivot = row;
+                }
+            }
+            
+            if (Math.abs(a[pivot][col]) < 1e-12) {
+                return null;
+            }
+            [a[col], a[pivot]] = [a[pivot], a[col]];
+            
+            for (let row = 0; row < n; row++) {
+                if (row !== col) {
+                    const factor = a[row][col] / a[col][col];
+                    for (let k = col; k <= n; k++) {
+                        a[row][k] -= factor * a[col][k];
+                    }
+                }
+            }
+        }
+        
+        return a.map((row, i) => row[n] / row[i]);
+    }
+
+    applyAffineTransform(transform, x, y) {
+        const lng = transform.lng[0] * x + transform.lng[1] * y + transform.lng[2];
+        const lat = transform.lat[0] * x + transform.lat[1] * y + transform.lat[2];
+        return [lat, lng];
+    }
+
+    applyGeoreference() {
+        if (!this.georef?.result) {
+            this.showNotification('Add at least 3 control points before applying', 'warning');
+            return;
+        }
+        
+        const { transform, residuals, rmse } = this.georef.result;
+        const { width, height } = this.getImagePixelSize() || this.imageSize;
+        
+        // The fit has no rotation, so the transformed corners span the overlay exactly
+        const corners = [[0, 0], [width, 0], [width, height], [0, height]]
+            .map(([x, y]) => this.applyAffineTransform(transform, x, y));
+        const lats = corners.map(corner => corner[0]);
+        const lngs = corners.map(corner => corner[1]);
+        const bounds = [
+            [Math.min(...lats), Math.min(...lngs)],
+            [Math.max(...lats), Math.max(...lngs)]
+        ];
+        
+        // Decoded TIFF/HEIC previews stay with the image when its georeference is replaced
+        this.currentImage.georeference = {
+            source: 'gcp',
+            bounds: bounds,
+            width: width,
+            height: height,
+            preview_url: this.currentImage.georeference?.preview_url,
+            transform: transform,
+            rmse_m: parseFloat(rmse.toFixed(3)),
+            gcps: this.georef.gcps.map((gcp, i) => ({
+                pixel: gcp.pixel,
+                latlng: gcp.latlng,
+                residual_m: parseFloat(residuals[i].toFixed(3))
+            }))
+        };
+        
+        this.setImageBounds(bounds);
+        this.closeGeoreferencing();
+        this.saveProject();
+        this.showNotification(`Georeference applied (RMSE ${rmse.toFixed(2)} m)`, 'success');
+    }
+
+    setImageBounds(bounds) {
+        this.imageBounds = bounds;
+        
+        if (this.imageOverlay) {
+            this.imageOverlay.setBounds(L.latLngBounds(bounds));
+            this.map.fitBounds(bounds);
+        }
+        
+        if (this.segmentationLayer) {
+            this.segmentationLayer.setBounds(L.latLngBounds(bounds));
+        }
+        
+        // Redraw results that depend on the image position
+        if (this.processingResults.detection) {
+            this.displayDetectionResult(this.processingResults.detection);
+        }
+    }
+
+    closeGeoreferencing() {
+        if (!this.georef) {
+            return;
+        }
+        
+        this.georef.gcps.forEach(gcp => this.map.removeLayer(gcp.mapMarker));
+        this.map.off('click', this.georef.onMapClick);
+        this.map.getContainer().classList.remove('georef-active');
+        this.georef.viewer.remove();
+        this.georef = null;
+        
+        const panel = document.getElementById('georefPanel');
+        if (panel) {
+            panel.style.display = 'none';
+        }
+    }
+
+    updateGeorefPanel() {
+        const status = document.getElementById('georefStatus');
+        const list = document.getElementById('georefPointList');
+        const applyBtn = document.getElementById('applyGeorefBtn');
+        
+        if (!this.georef) {
+            return;
+        }
+        
+        const result = this.georef.result;
+        
+        if (status) {
+            if (this.georef.pendingPixel) {
+                status.textContent = `Now click the matching location on the map for point ${this.georef.gcps.length + 1}.`;
+            } else if (this.georef.gcps.length < 3) {
+                status.textContent = `Click a recognisable point on the image (${this.georef.gcps.length}/3 minimum).`;
+            } else if (result) {
+                status.textContent = `RMSE: ${result.rmse.toFixed(2)} m. Add more points to refine the fit.`;
+            } else {
+                status.textContent = 'Fit failed. Spread the points across the image.';
+            }
+        }
+        
+        if (list) {
+            list.innerHTML = this.georef.gcps.map((gcp, i) => `
+                <tr>
+                    <td>${i + 1}</td>
+                    <td>${gcp.pixel[0]}, ${gcp.pixel[1]}</td>
+                    <td>${gcp.latlng[0].toFixed(6)}, ${gcp.latlng[1].toFixed(6)}</td>
+                    <td>${result ? `${result.residuals[i].toFixed(2)} m` : '-'}</td>
+                    <td>
+                        <button class="btn btn-sm btn-link text-danger p-0" onclick="window.app.removeGeorefPoint(${i})">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </td>
+                </tr>
+            `).join('');
+        }
+        
+        if (applyBtn) {
+            applyBtn.disabled = !result;
+        }
+    }
+
+    async runSegmentation() {
+        if (!this.currentImage) {
+            this.showNotification('Please upload an image first', 'warning');
+            return;
+        }
+
+        if (this.isProcessing && !this.runningAllProcess) {
+            this.showNotification('Another process is currently running', 'warning');
+            return;
+        }
+
+        if (!this.runningAllProcess) {
+            this.isProcessing = true;
+        }
+        
+        this.showProgress('processingProgress', 'processingStatus', 'Analyzing site features...', 30);
+        this.beginOperation();
+        
+        try {
+            await this.runWithBackendFallback(
+                'Segmentation',
+                () => this.isOnline && this.currentImage.filename
+                    ? this.runBackendSegmentation()
+                    : this.runOfflineSegmentation(),
+                () => this.runOfflineSegmentation()
+            );
+        } finally {
+            this.endOperation();
+            setTimeout(() => {
+                this.hideProgress('processingProgress');
+                if (!this.runningAllProcess) {
+                    this.isProcessing = false;
+                }
+            }, 500);
+        }
+    }
+
+    async runBackendSegmentation() {
+        this.updateProgress('processingProgress', 50);
+        
+        try {
+            // FIXED ENDPOINT - using this.endpoints.segment
+            const result = await this.postAnalysis(
+                this.endpoints.segment,
+                this.currentImage.filename,
+                'Segmentation',
+                this.activeOperation?.signal
+            );
+            
+            this.processingResults.segmentation = result;
+            this.updateProgress('processingProgress', 100);
+            
+            const ruinsPercent = result.ruins_percentage || 0;
+            this.showNotification(`Segmentation complete: ${ruinsPercent}% ruins detected`, 'success');
+            
+            this.displaySegmentationResult(result);
+            this.updateResultsPanel('segmentation', result);
+            this.updateLegendValues();
+            this.saveProject();
+            
+        } catch (error) {
+            console.error('Backend segmentation error:', error);
+            throw error;
+        }
+    }
+
+    async runOfflineSegmentation() {
+        const results = await this.analyzeSegmentationOffline(
+            this.imageOverlay?.getElement(),
+            this.getImagePixelSize(),
+            (value) => {
+                // Map worker progress onto the remaining part of the bar
+                this.updateProgress('processingProgress', 30 + value * 0.7);
+            },
+            this.activeOperation?.signal
+        );
+        
+        this.processingResults.segmentation = results;
+        this.updateProgress('processingProgress', 100);
+        
+        if (!this.runningAllProcess) {
+            this.showNotification('Site features segmented (offline mode)', 'success');
+        }
+        
+        this.displaySegmentationResult(results);
+        this.updateResultsPanel('segmentation', results);
+        this.updateLegendValues();
+        this.saveProject();
+    }
+
+    // Offline Worker Methods
+    async analyzeSegmentationOffline(element, sourceSize, onProgress, signal = null) {
+        const image = this.getImagePixels(element);
+        const analysis = await this.runWorkerTask('segmentation', 'js/segmentation-worker.js', image, onProgress, signal);
+        const size = sourceSize || image;
+        
+        return {
+            ...analysis,
+            image_size: `${size.width}x${size.height}`,
+            method: 'client-worker',
+            success: true,
+            segmentation_url: null
+        };
+    }
+
+    async analyzeDetectionOffline(element, sourceSize, onProgress, signal = null) {
+        const image = this.getImagePixels(element);
+        const analysis = await this.runWorkerTask('detection', 'js/detection-worker.js', image, onProgress, signal);
+        
+        // The worker sees a downscaled copy; convert back to source image pixels
+        const size = sourceSize || image;
+        const artifacts = this.scaleArtifacts(
+            analysis.artifacts,
+            size.width / image.width,
+            size.height / image.height
+        );
+        
+        return {
+            artifacts: artifacts,
+            total_detected: artifacts.length,
+            candidates_considered: analysis.candidates_considered,
+            thresholds: analysis.thresholds,
+            method: 'client-worker',
+            success: true,
+            detection_map: null
+        };
+    }
+
+    scaleArtifacts(artifacts, scaleX, scaleY, offsetX = 0, offsetY = 0) {
+        return artifacts.map(artifact => ({
+            ...artifact,
+            area: Math.round(artifact.area * scaleX * scaleY),
+            center: [
+                Math.round((artifact.center[0] + offsetX) * scaleX),
+                Math.round((artifact.center[1] + offsetY) * scaleY)
+            ],
+            bbox: [
+                Math.round((artifact.bbox[0] + offsetX) * scaleX),
+                Math.round((artifact.bbox[1] + offsetY) * scaleY),
+                Math.round(artifact.bbox[2] * scaleX),
+                Math.round(artifact.bbox[3] * scaleY)
+            ]
+        }));
+    }
+
+    getImagePixels(element, maxSide = 1024) {
+        if (!element || !element.naturalWidth) {
+            throw new Error('Image is not loaded yet');
+        }
+        
+        // Analyse a downscaled copy; results are in this pixel grid
+        const scale = Math.min(1, maxSide / Math.max(element.naturalWidth, element.naturalHeight));
+        const width = Math.max(1, Math.round(element.naturalWidth * scale));
+        const height = Math.max(1, Math.round(element.naturalHeight * scale));
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(element, 0, 0, width, height);
+        
+        let imageData;
+        try {
+            imageData = ctx.getImageData(0, 0, width, height);
+        } catch (error) {
+            throw new Error('Image pixels are not readable (cross-origin image)');
+        }
+        
+        return { width, height, buffer: imageData.data.buffer };
+    }
+
+    runWorkerTask(name, scriptUrl, payload, onProgress, signal = null) {
+        if (!window.Worker) {
+            return Promise.reject(new Error('Web Workers are not supported in this browser'));
+        }
+        
+        if (signal?.aborted) {
+            return Promise.reject(new RequestError(`${name} cancelled`, 'cancelled'));
+        }
+        
+        // Workers cannot be interrupted mid-task, so cancellable tasks get a worker of their own
+        // that can be terminated without taking other tasks down with it
+        const shared = !signal;
+        if (shared && !this.workers[name]) {
+            this.workers[name] = new Worker(scriptUrl);
+        }
+        
+        const worker = shared ? this.workers[name] : new Worker(scriptUrl);
+        const id = ++this.workerTaskId;
+        
+        return new Promise((resolve, reject) => {
+            const finish = () => {
+                worker.removeEventListener('message', onMessage);
+                worker.removeEventListener('error', onError);
+                signal?.removeEventListener('abort', onAbort);
+                
+                if (!shared) {
+                    worker.terminate();
+                }
+            };
+            
+            const onMessage = (e) => {
+                if (e.data.id !== id) {
+                    return;
+                }
+                
+                if (e.data.type === 'progress') {
+                    onProgress?.(e.data.value);
+                    return;
+                }
+                
+                finish();
+                
+                if (e.data.type === 'result') {
+                    resolve(e.data.result);
+                } else {
+                    reject(new Error(e.data.error || `${name} worker failed`));
+                }
+            };
+            
+            const onError = (e) => {
+                finish();
+                
+                // A crashed shared worker is recreated on the next task
+                worker.terminate();
+                if (this.workers[name] === worker) {
+                    delete this.workers[name];
+                }
+                reject(new Error(e.message || `${name} worker crashed`));
+            };
+            
+            const onAbort = () => {
+                finish();
+                reject(new RequestError(`${name} cancelled`, 'cancelled'));
+            };
+            
+            worker.addEventListener('message', onMessage);
+            worker.addEventListener('error', onError);
+            signal?.addEventListener('abort', onAbort, { once: true });
+            worker.postMessage({ id, ...payload }, [payload.buffer]);
+        });
+    }
+
+    async detectArtifacts() {
+        if (!this.currentImage) {
+            this.showNotification('Please upload an image first', 'warning');
+            return;
+        }
+
+        if (this.isProcessing && !this.runningAllProcess) {
+            this.showNotification('Another process is currently running', 'warning');
+            return;
+        }
+
+        if (!this.runningAllProcess) {
+            this.isProcessing = true;
+        }
+        
+        this.showProgress('processingProgress', 'processingStatus', 'Detecting artifacts...', 50);
+        this.beginOperation();
+        
+        try {
+            await this.runWithBackendFallback(
+                'Detection',
+                () => this.isOnline && this.currentImage.filename
+                    ? this.runBackendDetection()
+                    : this.runOfflineDetection(),
+                () => this.runOfflineDetection()
+            );
+        } finally {
+            this.endOperation();
+            setTimeout(() => {
+                this.hideProgress('processingProgress');
+                if (!this.runningAllProcess) {
+                    this.isProcessing = false;
+                }
+            }, 500);
+        }
+    }
+
+    async runBackendDetection() {
+        this.updateProgress('processingProgress', 70);
+        
+        try {
+            // FIXED ENDPOINT - using this.endpoints.detect
+            const result = await this.postDetection(
+                this.currentImage.filename,
+                this.currentImage.preprocessing,
+                this.activeOperation?.signal,
+                (value) => this.updateProgress('processingProgress', 70 + value * 0.3)
+            );
+            
+            this.processingResults.detection = this.keepAnnotations(result);
+            this.updateProgress('processingProgress', 100);
+            
+            const count = result.total_detected || 0;
+            
+            if (!this.runningAllProcess) {
+                this.showNotification(`Found ${count} artifacts`, 'success');
+            }
+            
+            this.displayDetectionResult(this.processingResults.detection);
+            this.updateResultsPanel('detection', this.processingResults.detection);
+            this.updateLegendValues();
+            this.saveProject();
+            
+        } catch (error) {
+            console.error('Backend detection error:', error);
+            throw error;
+        }
+    }
+
+    async runOfflineDetection() {
+        const results = await this.analyzeDetectionOffline(
+            this.imageOverlay?.getElement(),
+            this.getImagePixelSize(),
+            (value) => {
+                this.updateProgress('processingProgress', 50 + value * 0.5);
+            },
+            this.activeOperation?.signal
+        );
+        const artifacts = results.artifacts;
+        
+        this.processingResults.detection = this.keepAnnotations(results);
+        this.updateProgress('processingProgress', 100);
+        
+        if (!this.runningAllProcess) {
+            this.showNotification(`Found ${artifacts.length} artifact candidates (offline mode)`, 'success');
+        }
+        
+        this.displayDetectionResult(this.processingResults.detection);
+        this.updateResultsPanel('detection', this.processingResults.detection);
+        this.updateLegendValues();
+        this.saveProject();
+    }
+
+    async runAllProcessing() {
+        if (!this.currentImage) {
+            this.showNotification('Please upload an image first', 'warning');
+            return;
+        }
+
+        if (this.isProcessing) {
+            this.showNotification('Another process is currently running', 'warning');
+            return;
+        }
+
+        this.isProcessing = true;
+        this.runningAllProcess = true;
+        
+        // Show loading overlay
+        this.showLoading('Running Complete Analysis', 'Processing site features and artifacts...');
+        
+        // Create loading steps
+        const loadingSteps = document.getElementById('loadingSteps');
+        if (loadingSteps) {
+            loadingSteps.innerHTML = `
+                <div class="loading-step" id="step-segmentation">
+                    <i class="fas fa-circle-notch fa-spin"></i>
+                    <span>Segmenting Site Features</span>
+                </div>
+                <div class="loading-step" id="step-detection">
+                    <i class="far fa-circle"></i>
+                    <span>Detecting Artifacts</span>
+                </div>
+                <div class="loading-step" id="step-analysis">
+                    <i class="far fa-circle"></i>
+                    <span>Final Analysis</span>
+                </div>
+            `;
+        }
+        
+        const signal = this.beginOperation();
+        
+        try {
+            // Step 1: Segmentation
+            this.updateLoadingStep('segmentation', 'active');
+            
+            // Show progress for segmentation
+            this.showProgress('processingProgress', 'processingStatus', 'Analyzing site features...', 30);
+            
+            const segmented = await this.runWithBackendFallback(
+                'Segmentation',
+                () => this.isOnline && this.currentImage.filename
+                    ? this.runBackendSegmentation()
+                    : this.runOfflineSegmentation(),
+                () => this.runOfflineSegmentation()
+            );
+            if (!segmented) {
+                return;
+            }
+            
+            this.hideProgress('processingProgress');
+            
+            // Wait between steps
+            await this.cancellableDelay(1000, signal);
+            
+            // Step 2: Detection
+            this.updateLoadingStep('segmentation', 'completed');
+            this.updateLoadingStep('detection', 'active');
+            
+            // Show progress for detection
+            this.showProgress('processingProgress', 'processingStatus', 'Detecting artifacts...', 50);
+            
+            const detected = await this.runWithBackendFallback(
+                'Detection',
+                () => this.isOnline && this.currentImage.filename
+                    ? this.runBackendDetection()
+                    : this.runOfflineDetection(),
+                () => this.runOfflineDetection()
+            );
+            if (!detected) {
+                return;
+            }
+            
+            this.hideProgress('processingProgress');
+            
+            // Step 3: Analysis
+            await this.cancellableDelay(500, signal);
+            this.updateLoadingStep('detection', 'completed');
+            this.updateLoadingStep('analysis', 'active');
+            
+            // Generate statistics
+            await this.generateCombinedStatistics();
+            await this.delay(1000);
+            this.updateLoadingStep('analysis', 'completed');
+            
+            this.showNotification('All processing completed successfully!', 'success');
+            
+        } catch (error) {
+            if (error instanceof RequestError && error.kind === 'cancelled') {
+                this.showNotification('Processing cancelled', 'info');
+            } else {
+                console.error('Complete processing failed:', error);
+                this.showNotification('Processing failed: ' + error.message, 'error');
+            }
+        } finally {
+            this.endOperation();
+            this.hideProgress('processingProgress');
+            setTimeout(() => {
+                this.hideLoading();
+                this.isProcessing = false;
+                this.runningAllProcess = false;
+            }, 1000);
+        }
+    }
+
+    async generateCombinedStatistics() {
+        this.processingResults.statistics = this.buildCombinedStatistics();
+        
+        console.log("Generated statistics:", this.processingResults.statistics);
+        
+        // Add combined result to results panel
+        this.updateResultsPanel('combined', this.processingResults.statistics);
+        this.saveProject();
+    }
+
+    buildCombinedStatistics(
+        seg = this.processingResults.segmentation,
+        det = this.processingResults.detection,
+        imageName = this.currentImage?.original_name
+    ) {
+        return {
+            timestamp: new Date().toISOString(),
+            image_name: imageName || 'Unknown',
+            ruins_coverage: seg?.ruins_percentage || 0,
+            vegetation_coverage: seg?.vegetation_percentage || 0,
+            water_coverage: seg?.water_percentage || 0,
+            artifact_count: det?.total_detected || 0,
+            processing_mode: this.isOnline ? 'Online' : 'Offline',
+            summary: `Analysis complete: ${seg?.ruins_percentage || 0}% ruins, ${det?.total_detected || 0} artifacts`
+        };
+    }
+
+    // UI Helper Methods
+    showProgress(containerId, statusId, message, percentage) {
+        const container = document.getElementById(containerId);
+        const status = document.getElementById(statusId);
+        const progressBar = container?.querySelector(".progress-bar");
+
+        if (container && status && progressBar) {
+            container.style.display = "block";
+            status.textContent = message;
+            progressBar.style.width = `${percentage}%`;
+            progressBar.setAttribute("aria-valuenow", percentage);
+        }
+    }
+
+    updateProgress(containerId, percentage) {
+        const container = document.getElementById(containerId);
+        const progressBar = container?.querySelector(".progress-bar");
+
+        if (progressBar) {
+            progressBar.style.width = `${percentage}%`;
+            progressBar.setAttribute("aria-valuenow", percentage);
+        }
+    }
+
+    hideProgress(containerId) {
+        const container = document.getElementById(containerId);
+        if (container) {
+            container.style.display = "none";
+        }
+    }
+
+    showLoading(title = 'Processing', message = 'Please wait while we analyze the image...') {
+        const loadingOverlay = document.getElementById('loadingOverlay');
+        const loadingTitle = document.getElementById('loadingTitle');
+        const loadingText = document.getElementById('loadingText');
+        const loadingProgress = document.getElementById('loadingProgress');
+        
+        if (loadingOverlay && loadingTitle && loadingText && loadingProgress) {
+            loadingTitle.textContent = title;
+            loadingText.textContent = message;
+            loadingProgress.style.width = '0%';
+            
+            loadingOverlay.style.display = 'flex';
+            setTimeout(() => {
+                loadingOverlay.classList.add('active');
+            }, 10);
+            
+            // Animate progress bar
+            let progress = 0;
+            const interval = setInterval(() => {
+                progress += 1;
+                loadingProgress.style.width = `${progress}%`;
+                
+                if (progress >= 100) {
+                    clearInterval(interval);
+                }
+            }, 100);
+        }
+    }
+
+    hideLoading() {
+        const loadingOverlay = document.getElementById('loadingOverlay');
+        if (loadingOverlay) {
+            loadingOverlay.classList.remove('active');
+            setTimeout(() => {
+                loadingOverlay.style.display = 'none';
+            }, 300);
+        }
+    }
+
+    updateLoadingStep(stepId, status = 'active') {
+        const step = document.getElementById(`step-${stepId}`);
+        if (step) {
+            step.className = `loading-step ${status}`;
+            
+            if (status === 'completed') {
+                const icon = step.querySelector('i');
+                if (icon) {
+                    icon.className = 'fas fa-check-circle text-success';
+                }
+            } else if (status === 'active') {
+                const icon = step.querySelector('i');
+                if (icon) {
+                    icon.className = 'fas fa-circle-notch fa-spin';
+                }
+            }
+        }
+    }
+
+    showNotification(message, type = 'info') {
+        const toast = document.getElementById('notificationToast');
+        const toastTitle = document.getElementById('toastTitle');
+        const toastMessage = document.getElementById('toastMessage');
+
+        if (!toast || !toastTitle || !toastMessage) return;
+
+        // Set title based on type
+        let title = 'Notification';
+        let bgClass = 'bg-primary';
+        let icon = 'fa-bell';
+
+        switch (type) {
+            case 'success':
+                title = 'Success';
+                bgClass = 'bg-success';
+                icon = 'fa-check-circle';
+                break;
+            case 'error':
+                title = 'Error';
+                bgClass = 'bg-danger';
+                icon = 'fa-exclamation-circle';
+                break;
+            case 'warning':
+                title = 'Warning';
+                bgClass = 'bg-warning';
+                icon = 'fa-exclamation-triangle';
+                break;
+            case 'info':
+                title = 'Info';
+                bgClass = 'bg-info';
+                icon = 'fa-info-circle';
+                break;
+        }
+
+        toastTitle.innerHTML = `<i class="fas ${icon} me-2"></i>${title}`;
+        toastMessage.textContent = message;
+
+        const toastHeader = toast.querySelector('.toast-header');
+        if (toastHeader) {
+            toastHeader.className = `toast-header text-white ${bgClass}`;
+        }
+
+        // Show toast
+        const bsToast = new bootstrap.Toast(toast, {
+            autohide: true,
+            delay: type === 'error' ? 5000 : 3000
+        });
+        bsToast.show();
+    }
+
+    updateImageInfoUI() {
+        const currentImageInfo = document.getElementById('currentImageInfo');
+        const imageStats = document.getElementById('imageStats');
+        
+        if (currentImageInfo && this.currentImage) {
+            currentImageInfo.textContent = this.currentImage.original_name;
+        }
+        
+        if (imageStats && this.currentImage) {
+            imageStats.textContent = this.currentImage.image_size;
+        }
+        
+        // Also update legend values
+        this.updateLegendValues();
+    }
+
+    formatPercentage(value, digits = 2) {
+        // Some backends report percentages as strings
+        return `${Number(value || 0).toFixed(digits)}%`;
+    }
+
+    updateLegendValues() {
+        const seg = this.processingResults.segmentation;
+        const det = this.processingResults.detection;
+        
+        // Update legend values
+        const legendArtifacts = document.getElementById('legendArtifacts');
+        const legendRuins = document.getElementById('legendRuins');
+        const legendVegetation = document.getElementById('legendVegetation');
+        const legendWater = document.getElementById('legendWater');
+        const legendStructures = document.getElementById('legendStructures');
+        
+        if (legendArtifacts) {
+            legendArtifacts.textContent = det?.total_detected || 0;
+        }
+        
+        if (legendRuins) {
+            legendRuins.textContent = this.formatPercentage(seg?.ruins_percentage, 1);
+        }
+        
+        if (legendVegetation) {
+            legendVegetation.textContent = this.formatPercentage(seg?.vegetation_percentage, 1);
+        }
+        
+        if (legendWater) {
+            legendWater.textContent = this.formatPercentage(seg?.water_percentage, 1);
+        }
+        
+        if (legendStructures) {
+            legendStructures.textContent = det?.artifacts?.filter(a => a.type?.includes('Structure') || a.type?.includes('Building')).length || 0;
+        }
+    }
+
+    enableProcessingButtons(enabled) {
+        const buttons = ['segmentBtn', 'detectBtn', 'allBtn'];
+        
+        buttons.forEach(btnId => {
+            const btn = document.getElementById(btnId);
+            if (btn) {
+                btn.disabled = !enabled;
+                if (!enabled) {
+                    btn.classList.add('disabled');
+                } else {
+                    btn.classList.remove('disabled');
+                }
+            }
+        });
+    }
+
+    updateResultsPanel(type, data, replace = false) {
+        const container = document.getElementById("resultsContainer");
+
+        // Remove placeholder if present
+        const placeholder = container.querySelector(".text-center");
+        if (placeholder) {
+            placeholder.remove();
+        }
+
+        let resultHtml = "";
+        
+        if (type === "segmentation") {
+            resultHtml = `
+                <div class="result-item info">
+                    <div class="d-flex justify-content-between align-items-center mb-2">
+                        <h6 class="mb-0"><i class="fas fa-mountain"></i> Site Segmentation</h6>
+                        <span class="badge bg-primary">${new Date().toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</span>
+                    </div>
+                    <div class="mt-2">
+                        <div class="d-flex justify-content-between mb-2">
+                            <span><i class="fas fa-landmark text-warning me-2"></i>Ruins:</span>
+                            <span class="fw-bold text-warning">${this.formatPercentage(data.ruins_percentage)}</span>
+                        </div>
+                        <div class="d-flex justify-content-between mb-2">
+                            <span><i class="fas fa-leaf text-success me-2"></i>Vegetation:</span>
+                            <span class="fw-bold text-success">${this.formatPercentage(data.vegetation_percentage)}</span>
+                        </div>
+                        <div class="d-flex justify-content-between mb-2">
+                            <span><i class="fas fa-water text-info me-2"></i>Water:</span>
+                            <span class="fw-bold text-info">${this.formatPercentage(data.water_percentage)}</span>
+                        </div>
+                        <div class="d-flex justify-content-between mb-3">
+                            <span><i class="fas fa-chart-bar me-2"></i>Pixels Analyzed:</span>
+                            <span>${(data.pixels_analyzed || 0).toLocaleString()}</span>
+                        </div>
+                        <button class="btn btn-sm btn-outline-light w-100" onclick="window.app.viewResults('segmentation')">
+                            <i class="fas fa-chart-line me-2"></i> View Details
+                        </button>
+                    </div>
+                </div>
+            `;
+        } else if (type === "detection") {
+            const artifactCount = data.total_detected || 0;
+            
+            resultHtml = `
+                <div class="result-item success" data-result-type="detection">
+                    <div class="d-flex justify-content-between align-items-center mb-2">
+                        <h6 class="mb-0"><i class="fas fa-search"></i> Artifact Detection</h6>
+                        <span class="badge bg-warning">${new Date().toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</span>
+                    </div>
+                    <div class="mt-2">
+                        <div class="d-flex justify-content-between align-items-center mb-3">
+                            <div>
+                                <div class="small">Total Artifacts</div>
+                                <div class="fw-bold text-warning" style="font-size: 1.5rem;">${artifactCount}</div>
+                            </div>
+                            <div class="text-end">
+                                <div class="small">Mode</div>
+                                <div class="fw-bold">${this.isOnline ? 'Online' : 'Offline'}</div>
+                            </div>
+                        </div>
+                        <div class="mb-3">
+                            <div class="small mb-2">Detected Types:</div>
+                            <div class="d-flex flex-wrap gap-2">
+                                ${data.artifacts?.slice(0, 3).map(artifact => `
+                                    <span class="badge" style="background-color: #f39c12;">
+                                        ${this.escapeHTML(artifact.type || 'Unknown')}
+                                    </span>
+                                `).join('')}
+                            </div>
+                            ${data.artifacts?.length > 3 ? 
+                                `<div class="text-center small mt-2">...and ${data.artifacts?.length - 3} more</div>` : ''}
+                        </div>
+                        <div class="d-flex justify-content-between small mb-3">
+                            <span><i class="fas fa-clipboard-check me-2"></i>Reviewed:</span>
+                            <span class="fw-bold">${(data.artifacts || []).filter(artifact => this.getReviewStatus(artifact) !== 'pending').length} / ${data.artifacts?.length || 0}</span>
+                        </div>
+                        <div class="d-flex gap-2">
+                            <button class="btn btn-sm btn-outline-light flex-fill" onclick="window.app.viewResults('detection')">
+                                <i class="fas fa-list me-2"></i> View Artifacts List
+                            </button>
+                            <button class="btn btn-sm btn-outline-light flex-fill" onclick="window.app.startReview()">
+                                <i class="fas fa-clipboard-check me-2"></i> Review
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            `;
+        } else if (type === "combined") {
+            resultHtml = `
+                <div class="result-item warning">
+                    <div class="d-flex justify-content-between align-items-center mb-2">
+                        <h6 class="mb-0"><i class="fas fa-tasks"></i> Complete Analysis Summary</h6>
+                        <span class="badge bg-danger">${new Date().toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</span>
+                    </div>
+                    <div class="mt-2">
+                        <div class="d-flex justify-content-between mb-2">
+                            <span><i class="fas fa-landmark text-warning me-2"></i>Ruins Coverage:</span>
+                            <span class="fw-bold text-warning">${this.formatPercentage(data.ruins_coverage)}</span>
+                        </div>
+                        <div class="d-flex justify-content-between mb-2">
+                            <span><i class="fas fa-search text-success me-2"></i>Artifacts Found:</span>
+                            <span class="fw-bold text-success">${data.artifact_count || 0}</span>
+                        </div>
+                        <div class="d-flex justify-content-between mb-2">
+                            <span><i class="fas fa-leaf text-info me-2"></i>Vegetation:</span>
+                            <span class="fw-bold text-info">${this.formatPercentage(data.vegetation_coverage)}</span>
+                        </div>
+                        <div class="d-flex justify-content-between mb-3">
+                            <span><i class="fas fa-bolt me-2"></i>Processing Mode:</span>
+                            <span class="fw-bold">${data.processing_mode || 'Unknown'}</span>
+                        </div>
+                        <div class="alert alert-dark mb-3" style="background: rgba(255,255,255,0.1);">
+                            <small><i class="fas fa-info-circle me-2"></i>${data.summary || 'Analysis complete'}</small>
+                        </div>
+                        <button class="btn btn-sm btn-outline-light w-100" onclick="window.app.viewResults('combined')">
+                            <i class="fas fa-chart-pie me-2"></i> View Full Report
+                        </button>
+                    </div>
+                </div>
+            `;
+        }
+
+        // Edits refresh the latest card instead of stacking a new one
+        const existing = replace ? container.querySelector(`[data-result-type="${type}"]`) : null;
+        
+        if (resultHtml && existing) {
+            existing.outerHTML = resultHtml;
+        } else if (resultHtml) {
+            container.insertAdjacentHTML("afterbegin", resultHtml);
+        }
+    }
+
+    // Utility Methods
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    displaySegmentationResult(results) {
+        // Create info popup
+        const popupContent = `
+            <div style="padding: 15px; min-width: 250px;">
+                <h5 style="margin-bottom: 10px; color: #2c3e50; border-bottom: 1px solid #eee; padding-bottom: 8px;">
+                    <i class="fas fa-mountain"></i> Segmentation Results
+                </h5>
+                <div style="margin-bottom: 8px;">
+                    <strong style="color: #ff7800;">
+                        <i class="fas fa-landmark"></i> Ruins:
+                    </strong> ${this.formatPercentage(results.ruins_percentage)}
+                </div>
+                <div style="margin-bottom: 8px;">
+                    <strong style="color: #27ae60;">
+                        <i class="fas fa-leaf"></i> Vegetation:
+                    </strong> ${this.formatPercentage(results.vegetation_percentage)}
+                </div>
+                <div style="margin-bottom: 8px;">
+                    <strong style="color: #3498db;">
+                        <i class="fas fa-water"></i> Water:
+                    </strong> ${this.formatPercentage(results.water_percentage)}
+                </div>
+            </div>
+        `;
+        
+        // Open the summary over the image rather than a fixed location
+        const popupLatLng = this.imageBounds
+            ? L.latLngBounds(this.imageBounds).getCenter()
+            : this.map.getCenter();
+        
+        L.popup()
+            .setLatLng(popupLatLng)
+            .setContent(popupContent)
+            .openOn(this.map);
+        
+        this.displaySegmentationMask(results);
+    }
+
+    async displaySegmentationMask(results) {
+        if (this.segmentationLayer) {
+            this.map.removeLayer(this.segmentationLayer);
+            this.segmentationLayer = null;
+        }
+        
+        if (!this.imageBounds) {
+            return;
+        }
+        
+        // Masks render asynchronously; drop this one if a newer call or cleared results superseded it
+        const token = ++this.segmentationMaskToken;
+        const maskUrl = await this.getSegmentationMaskUrl(results);
+        if (!maskUrl || token !== this.segmentationMaskToken || results !== this.processingResults.segmentation || !this.imageBounds) {
+            return;
+        }
+        
+        if (this.segmentationLayer) {
+            this.map.removeLayer(this.segmentationLayer);
+        }
+        
+        this.segmentationLayer = L.imageOverlay(maskUrl, this.imageBounds, {
+            opacity: this.segmentationOpacity,
+            className: 'segmentation-overlay'
+        });
+        
+        if (document.getElementById('showSegmentation')?.checked) {
+            this.segmentationLayer.addTo(this.map);
+        }
+        
+        if (this.grid) {
+            this.updateGridStats();
+        }
+    }
+    
+    async getSegmentationMaskUrl(results) {
+        try {
+            if (results.mask) {
+                // Per-pixel class ids computed in the browser
+                return this.renderClassMask(results.mask);
+            }
+            
+            if (results.segmentation_url) {
+                const url = results.segmentation_url.startsWith('/')
+                    ? `${this.baseUrl}${results.segmentation_url}`
+                    : results.segmentation_url;
+                return await this.recolorSegmentationMask(url, results.class_colors);
+            }
+        } catch (error) {
+            console.warn('Segmentation mask could not be rendered:', error.message);
+        }
+        
+        return null;
+    }
+    
+    renderClassMask(mask) {
+        const canvas = document.createElement('canvas');
+        canvas.width = mask.width;
+        canvas.height = mask.height;
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.createImageData(mask.width, mask.height);
+        const colors = {};
+        this.segmentationClasses.forEach(cls => {
+            colors[cls.id] = cls.color;
+        });
+        
+        for (let i = 0; i < mask.data.length; i++) {
+            const color = colors[mask.data[i]];
+            if (color) {
+                imageData.data[i * 4] = color[0];
+                imageData.data[i * 4 + 1] = color[1];
+                imageData.data[i * 4 + 2] = color[2];
+                imageData.data[i * 4 + 3] = 255;
+            }
+        }
+        
+        ctx.putImageData(imageData, 0, 0);
+        return canvas.toDataURL('image/png');
+    }
+
+    async recolorSegmentationMask(url, classColors) {
+        let image;
+        try {
+            image = await this.loadImageElement(url);
+        } catch (error) {
+            return null;
+        }
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = image.naturalWidth;
+        canvas.height = image.naturalHeight;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0);
+        
+        let imageData;
+        try {
+            imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        } catch (error) {
+            // Served without CORS headers: show the backend's own colors
+            console.warn('Segmentation mask is cross-origin, showing it unstyled');
+            return url;
+        }
+        
+        // Match each mask pixel to the closest class color the backend used
+        // (or the legend colors when it does not report them); near-black is background
+        const references = this.segmentationClasses.map(cls => ({
+            color: cls.color,
+            source: classColors?.[cls.key] || cls.color
+        }));
+        const pixels = imageData.data;
+        
+        for (let i = 0; i < pixels.length; i += 4) {
+            const r = pixels[i], g = pixels[i + 1], b = pixels[i + 2];
+            
+            if (pixels[i + 3] === 0 || r + g + b < 60) {
+                pixels[i + 3] = 0;
+                continue;
+            }
+            
+            let best = references[0];
+            let bestDistance = Infinity;
+            references.forEach(reference => {
+                const distance = (r - reference.source[0]) ** 2 +
+                    (g - reference.source[1]) ** 2 +
+                    (b - reference.source[2]) ** 2;
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = reference;
+                }
+            });
+            
+            pixels[i] = best.color[0];
+            pixels[i + 1] = best.color[1];
+            pixels[i + 2] = best.color[2];
+            pixels[i + 3] = 255;
+        }
+        
+        ctx.putImageData(imageData, 0, 0);
+        return canvas.toDataURL('image/png');
+    }
+
+    setSegmentationOpacity(opacity) {
+        this.segmentationOpacity = opacity;
+        if (this.segmentationLayer) {
+            this.segmentationLayer.setOpacity(opacity);
+        }
+    }
+
+    displayDetectionResult(results) {
+        // Clear previous artifacts
+        if (this.artifactsLayer) {
+            this.map.removeLayer(this.artifactsLayer);
+        }
+        
+        // Create layer for artifacts
+        this.artifactsLayer = L.layerGroup().addTo(this.map);
+        
+        let unplaced = 0;
+        
+        // Add markers for each artifact at its position in the image
+        results.artifacts?.forEach((artifact, index) => {
+            // Drawn and edited features live in the editable annotations layer
+            if (artifact.geometry || !this.isArtifactVisible(artifact)) {
+                return;
+            }
+            
+            const corners = this.getArtifactCorners(artifact);
+            const center = this.getArtifactCenter(artifact);
+            
+            if (!center) {
+                unplaced++;
+                return;
+            }
+            
+            const style = this.getArtifactStyle(artifact, '#ff9900');
+            const areaSqm = this.getArtifactAreaSqm(artifact);
+            
+            // Bounding box outline
+            const outline = corners ? L.polygon(corners, {
+                color: style.color,
+                fillColor: style.fillColor,
+                fillOpacity: style.fillOpacity,
+                opacity: style.opacity,
+                dashArray: style.dashArray,
+                weight: 2,
+                className: 'artifact-bbox'
+            }).addTo(this.artifactsLayer) : null;
+            
+            // Center marker
+            const marker = L.circleMarker(center, {
+                radius: 5,
+                color: style.color,
+                fillColor: style.fillColor,
+                fillOpacity: style.opacity * 0.9,
+                opacity: style.opacity,
+                weight: 2,
+                className: 'artifact-marker'
+            }).addTo(this.artifactsLayer);
+            
+            // Create popup
+            const popupContent = `
+                <div style="padding: 10px; min-width: 220px;">
+                    <h6 style="margin-bottom: 8px; color: #2c3e50; border-bottom: 1px solid #eee; padding-bottom: 5px;">
+                        <i class="fas fa-search"></i> Artifact ${index + 1}
+                    </h6>
+                    <div style="margin-bottom: 5px;">
+                        <strong>Type:</strong> 
+                        <span class="badge" style="background-color: #f39c12; color: white; padding: 2px 8px; border-radius: 10px;">
+                            ${this.escapeHTML(artifact.type || 'Unknown')}
+                        </span>
+                    </div>
+                    <div style="margin-bottom: 5px;">
+                        <strong>Confidence:</strong>
+                        <span style="color: ${artifact.confidence > 0.8 ? '#27ae60' : '#f39c12'}">
+                            ${this.formatConfidence(artifact)}
+                        </span>
+                    </div>
+                    <div style="margin-bottom: 5px;">
+                        <strong>Area:</strong> ${Number(artifact.area || 0).toFixed(2)} pixels${areaSqm !== null ? ` (${this.formatArea(areaSqm)})` : ''}
+                    </div>
+                    <div style="margin-bottom: 5px;">
+                        <strong>Review:</strong> ${this.formatReviewStatus(artifact)}
+                    </div>
+                    ${corners && artifact.id !== undefined ? `
+                        <button class="btn btn-sm btn-outline-primary w-100 mt-2" onclick="window.app.convertToAnnotation(${artifact.id})">
+                            <i class="fas fa-draw-polygon me-1"></i> Edit Box
+                        </button>
+                    ` : ''}
+                </div>
+            `;
+            
+            marker.bindPopup(popupContent);
+            outline?.bindPopup(popupContent);
+        });
+        
+        if (unplaced > 0) {
+            console.warn(`${unplaced} artifacts have no pixel position and were not placed`);
+        }
+        
+        this.renderAnnotations(results.artifacts || []);
+        this.renderDensityLayers(results.artifacts || []);
+        this.updateConfidenceLabel(results.artifacts || []);
+        
+        if (this.grid) {
+            this.updateGridStats();
+        }
+    }
+    
+    formatConfidence(artifact) {
+        if (artifact.confidence === 'manual') {
+            return 'Manual';
+        }
+        
+        return typeof artifact.confidence === 'number'
+            ? `${(artifact.confidence * 100).toFixed(1)}%`
+            : 'N/A';
+    }
+
+    // Density Layer Methods
+    getDensityArtifacts(artifacts) {
+        // Rejected detections are known false positives and would skew the density
+        return artifacts.filter(artifact => this.isArtifactVisible(artifact) && this.getReviewStatus(artifact) !== 'rejected');
+    }
+    
+    renderDensityLayers(artifacts) {
+        const placed = this.getDensityArtifacts(artifacts)
+            .map(artifact => ({ artifact: artifact, center: this.getArtifactCenter(artifact) }))
+            .filter(item => item.center);
+        
+        this.renderHeatmap(placed);
+        this.renderClusters(placed);
+    }
+    
+    renderHeatmap(placed) {
+        if (this.heatmapLayer) {
+            this.map.removeLayer(this.heatmapLayer);
+            this.heatmapLayer = null;
+        }
+        
+        if (!L.heatLayer) {
+            console.warn('Leaflet.heat not loaded, heatmap disabled');
+            return;
+        }
+        
+        if (!placed.length) {
+            return;
+        }
+        
+        const { radius, weight } = this.heatmapOptions;
+        const maxArea = Math.max(...placed.map(item => item.artifact.area || 0)) || 1;
+        
+        const points = placed.map(({ artifact, center }) => {
+            let intensity = 1;
+            if (weight === 'confidence') {
+                intensity = typeof artifact.confidence === 'number' ? artifact.confidence : 1;
+            } else if (weight === 'area') {
+                intensity = (artifact.area || 0) / maxArea;
+            }
+            return [center[0], center[1], intensity];
+        });
+        
+        this.heatmapLayer = L.heatLayer(points, {
+            radius: radius,
+            blur: Math.round(radius * 0.75),
+            max: 1,
+            maxZoom: this.map.getMaxZoom(),
+            minOpacity: 0.3
+        });
+        
+        if (document.getElementById('showHeatmap')?.checked) {
+            this.heatmapLayer.addTo(this.map);
+        }
+    }
+    
+    renderClusters(placed) {
+        if (this.clusterLayer) {
+            this.map.removeLayer(this.clusterLayer);
+            this.clusterLayer = null;
+        }
+        
+        if (!L.markerClusterGroup) {
+            console.warn('Leaflet.markercluster not loaded, clustering disabled');
+            return;
+        }
+        
+        this.clusterLayer = L.markerClusterGroup({
+            showCoverageOnHover: false,
+            maxClusterRadius: 60,
+            iconCreateFunction: (cluster) => {
+                const count = cluster.getChildCount();
+                const size = count < 10 ? 'small' : count < 50 ? 'medium' : 'large';
+                return L.divIcon({
+                    html: `<div><span>${count}</span></div>`,
+                    className: `marker-cluster marker-cluster-${size} artifact-cluster`,
+                    iconSize: L.point(40, 40)
+                });
+            }
+        });
+        
+        placed.forEach(({ artifact, center }) => {
+            const marker = L.marker(center, {
+                icon: L.divIcon({ className: 'artifact-cluster-point', iconSize: [12, 12] })
+            });
+            marker.artifactType = artifact.type || 'Unknown';
+            marker.bindTooltip(`${this.escapeHTML(marker.artifactType)} · ${this.formatConfidence(artifact)}`);
+            this.clusterLayer.addLayer(marker);
+        });
+        
+        this.clusterLayer.on('clustermouseover', (e) => {
+            e.layer.bindTooltip(this.getClusterBreakdown(e.layer), { direction: 'top', offset: [0, -15] }).openTooltip();
+        });
+        
+        this.clusterLayer.on('clustermouseout', (e) => {
+            e.layer.unbindTooltip();
+        });
+        
+        if (document.getElementById('showClusters')?.checked) {
+            this.clusterLayer.addTo(this.map);
+        }
+    }
+    
+    getClusterBreakdown(cluster) {
+        const counts = {};
+        cluster.getAllChildMarkers().forEach(marker => {
+            counts[marker.artifactType] = (counts[marker.artifactType] || 0) + 1;
+        });
+        
+        const rows = Object.entries(counts)
+            .sort((a, b) => b[1] - a[1])
+            .map(([type, count]) => `<div class="d-flex justify-content-between gap-3"><span>${this.escapeHTML(type)}</span><strong>${count}</strong></div>`)
+            .join('');
+        
+        return `<div><strong>${cluster.getChildCount()} artifacts</strong>${rows}</div>`;
+    }
+    
+    setHeatmapOptions(options) {
+        this.heatmapOptions = { ...this.heatmapOptions, ...options };
+        
+        const label = document.getElementById('heatmapRadiusValue');
+        if (label) {
+            label.textContent = `${this.heatmapOptions.radius}px`;
+        }
+        
+        if (this.processingResults.detection) {
+            this.renderDensityLayers(this.processingResults.detection.artifacts || []);
+        }
+    }
+    
+    clearDensityLayers() {
+        [this.heatmapLayer, this.clusterLayer].filter(Boolean).forEach(layer => this.map.removeLayer(layer));
+        this.heatmapLayer = null;
+        this.clusterLayer = null;
+    }
+    
+    // Detection Review Methods
+    getReviewStatus(artifact) {
+        return artifact.review?.status || 'pending';
+    }
+    
+    isArtifactVisible(artifact) {
+        // Manual annotations have no score and are never filtered out
+        return typeof artifact.confidence !== 'number' || artifact.confidence >= this.confidenceThreshold;
+    }
+    
+    getArtifactStyle(artifact, fallbackColor) {
+        const status = this.getReviewStatus(artifact);
+        
+        if (status === 'accepted') {
+            return { color: '#27ae60', fillColor: '#2ecc71', opacity: 1, fillOpacity: 0.15, dashArray: null };
+        }
+        
+        if (status === 'rejected') {
+            return { color: '#e74c3c', fillColor: '#e74c3c', opacity: 0.6, fillOpacity: 0.05, dashArray: '4 4' };
+        }
+        
+        return { color: fallbackColor, fillColor: fallbackColor, opacity: 1, fillOpacity: 0.15, dashArray: null };
+    }
+    
+    formatReviewStatus(artifact) {
+        const status = this.getReviewStatus(artifact);
+        const badge = { accepted: 'bg-success', rejected: 'bg-danger', pending: 'bg-secondary' }[status];
+        const relabeled = artifact.review?.original_type
+            ? ` <small class="text-muted">(was ${this.escapeHTML(artifact.review.original_type)})</small>`
+            : '';
+        
+        return `<span class="badge ${badge}">${status}</span>${relabeled}`;
+    }
+    
+    setConfidenceThreshold(value) {
+        this.confidenceThreshold = value;
+        
+        if (this.processingResults.detection) {
+            this.displayDetectionResult(this.processingResults.detection);
+        } else {
+            this.updateConfidenceLabel([]);
+        }
+        
+        // Keep reviewing the same artifact if it is still above the threshold
+        if (this.review) {
+            const currentId = this.review.ids[this.review.index];
+            this.review.ids = this.getReviewableIds();
+            const index = this.review.ids.indexOf(currentId);
+            this.reviewGoTo(index >= 0 ? index : Math.min(this.review.index, this.review.ids.length - 1), false);
+        }
+    }
+    
+    updateConfidenceLabel(artifacts) {
+        const label = document.getElementById('confidenceThresholdValue');
+        if (!label) {
+            return;
+        }
+        
+        const hidden = artifacts.filter(artifact => !this.isArtifactVisible(artifact)).length;
+        label.textContent = `${Math.round(this.confidenceThreshold * 100)}%${hidden ? ` (${hidden} hidden)` : ''}`;
+    }
+    
+    getReviewableIds() {
+        return (this.processingResults.detection?.artifacts || [])
+            .filter(artifact => this.isArtifactVisible(artifact) && this.getArtifactCenter(artifact))
+            .map(artifact => artifact.id);
+    }
+    
+    getReviewTypes() {
+        const types = new Set((this.processingResults.detection?.artifacts || []).map(artifact => artifact.type).filter(Boolean));
+        ['Pottery', 'Structure', 'Wall', 'Pit', 'Tool', 'Bone', 'Coin', 'Feature'].forEach(type => types.add(type));
+        return [...types].slice(0, 9);
+    }
+    
+    startReview() {
+        const ids = this.getReviewableIds();
+        if (!ids.length) {
+            this.showNotification('No detections to review', 'warning');
+            return;
+        }
+        
+        if (this.review) {
+            return;
+        }
+        
+        const panel = document.getElementById('reviewPanel');
+        if (!panel) {
+            return;
+        }
+        panel.style.display = 'flex';
+        
+        this.review = {
+            ids: ids,
+            index: 0,
+            highlight: null,
+            types: this.getReviewTypes(),
+            onKeyDown: (e) => this.handleReviewKey(e)
+        };
+        document.addEventListener('keydown', this.review.onKeyDown);
+        
+        // Start at the first artifact nobody has looked at yet
+        const firstPending = ids.findIndex(id => this.getReviewStatus(this.findArtifact(id)) === 'pending');
+        this.reviewGoTo(Math.max(0, firstPending));
+    }
+    
+    closeReview() {
+        if (!this.review) {
+            return;
+        }
+        
+        document.removeEventListener('keydown', this.review.onKeyDown);
+        if (this.review.highlight) {
+            this.map.removeLayer(this.review.highlight);
+        }
+        this.review = null;
+        
+        const panel = document.getElementById('reviewPanel');
+        if (panel) {
+            panel.style.display = 'none';
+        }
+    }
+    
+    reviewGoTo(index, zoom = true) {
+        if (!this.review) {
+            return;
+        }
+        
+        if (!this.review.ids.length) {
+            this.closeReview();
+            return;
+        }
+        
+        this.review.index = Math.max(0, Math.min(index, this.review.ids.length - 1));
+        const artifact = this.findArtifact(this.review.ids[this.review.index]);
+        
+        if (this.review.highlight) {
+            this.map.removeLayer(this.review.highlight);
+            this.review.highlight = null;
+        }
+        
+        const bounds = this.getArtifactBounds(artifact);
+        if (bounds) {
+            this.review.highlight = L.rectangle(bounds.pad(0.3), {
+                color: '#00e5ff',
+                weight: 3,
+                fill: false,
+                dashArray: '6 4',
+                interactive: false
+            }).addTo(this.map);
+            
+            if (zoom) {
+                this.map.fitBounds(bounds.pad(2), { maxZoom: 20, animate: true });
+            }
+        }
+        
+        this.updateReviewPanel();
+    }
+    
+    getArtifactBounds(artifact) {
+        if (artifact.geometry) {
+            return L.geoJSON(artifact.geometry).getBounds();
+        }
+        
+        const corners = this.getArtifactCorners(artifact);
+        if (corners) {
+            return L.latLngBounds(corners);
+        }
+        
+        const center = this.getArtifactCenter(artifact);
+        return center ? L.latLng(center).toBounds(10) : null;
+    }
+    
+    setReviewStatus(status) {
+        const artifact = this.review && this.findArtifact(this.review.ids[this.review.index]);
+        if (!artifact) {
+            return;
+        }
+        
+        artifact.review = {
+            ...(artifact.review || {}),
+            status: status,
+            reviewed_at: new Date().toISOString()
+        };
+        
+        this.refreshDetectionViews();
+        this.reviewGoTo(this.review.index + 1);
+    }
+    
+    relabelArtifact(type) {
+        const artifact = this.review && this.findArtifact(this.review.ids[this.review.index]);
+        type = type?.trim();
+        if (!artifact || !type) {
+            return;
+        }
+        
+        // The detector's label is kept the first time it is overridden
+        const originalType = artifact.review?.original_type || (type !== artifact.type ? artifact.type : null);
+        artifact.type = type;
+        artifact.review = {
+            ...(artifact.review || {}),
+            original_type: originalType,
+            status: 'accepted',
+            reviewed_at: new Date().toISOString()
+        };
+        
+        this.refreshDetectionViews();
+        this.reviewGoTo(this.review.index + 1);
+    }
+    
+    handleReviewKey(e) {
+        const typing = ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName);
+        
+        if (typing) {
+            if (e.target.id === 'reviewTypeInput' && e.key === 'Enter') {
+                e.preventDefault();
+                this.relabelArtifact(e.target.value);
+                e.target.blur();
+            } else if (e.key === 'Escape') {
+                e.target.blur();
+            }
+            return;
+        }
+        
+        if (e.ctrlKey || e.metaKey || e.altKey || document.querySelector('.modal.show')) {
+            return;
+        }
+        
+        const key = e.key.toLowerCase();
+        const actions = {
+            a: () => this.setReviewStatus('accepted'),
+            r: () => this.setReviewStatus('rejected'),
+            u: () => this.setReviewStatus('pending'),
+            l: () => document.getElementById('reviewTypeInput')?.focus(),
+            arrowright: () => this.reviewGoTo(this.review.index + 1),
+            arrowleft: () => this.reviewGoTo(this.review.index - 1),
+            escape: () => this.closeReview()
+        };
+        
+        if (actions[key]) {
+            e.preventDefault();
+            actions[key]();
+        } else if (/^[1-9]$/.test(key) && this.review.types[parseInt(key, 10) - 1]) {
+            e.preventDefault();
+            this.relabelArtifact(this.review.types[parseInt(key, 10) - 1]);
+        }
+    }
+    
+    updateReviewPanel() {
+        if (!this.review) {
+            return;
+        }
+        
+        const artifact = this.findArtifact(this.review.ids[this.review.index]);
+        const artifacts = this.processingResults.detection?.artifacts || [];
+        const reviewed = artifacts.filter(item => this.getReviewStatus(item) !== 'pending').length;
+        
+        const progress = document.getElementById('reviewProgress');
+        if (progress) {
+            progress.textContent = `Artifact ${this.review.index + 1} of ${this.review.ids.length} · ${reviewed}/${artifacts.length} reviewed`;
+        }
+        
+        const details = document.getElementById('reviewDetails');
+        if (details) {
+            details.innerHTML = `
+                <div class="d-flex justify-content-between mb-1">
+                    <span>ID ${artifact.id}</span>
+                    ${this.formatReviewStatus(artifact)}
+                </div>
+                <div class="d-flex justify-content-between mb-1">
+                    <span>Type:</span>
+                    <span class="fw-bold">${this.escapeHTML(artifact.type || 'Unknown')}</span>
+                </div>
+                <div class="d-flex justify-content-between">
+                    <span>Confidence:</span>
+                    <span class="fw-bold">${this.formatConfidence(artifact)}</span>
+                </div>
+            `;
+        }
+        
+        const typeInput = document.getElementById('reviewTypeInput');
+        if (typeInput) {
+            typeInput.value = '';
+            typeInput.placeholder = artifact.type || 'New type';
+        }
+        
+        const chips = document.getElementById('reviewTypeChips');
+        if (chips) {
+            chips.innerHTML = this.review.types.map((type, index) => `
+                <button type="button" class="btn btn-sm ${type === artifact.type ? 'btn-light' : 'btn-outline-light'}" data-type="${this.escapeHTML(type)}">
+                    <kbd>${index + 1}</kbd> ${this.escapeHTML(type)}
+                </button>
+            `).join('');
+        }
+    }
+    
+    // Measurement Methods
+    initMeasureTools() {
+        this.measurementsLayer = L.featureGroup().addTo(this.map);
+        
+        if (!L.Draw) {
+            return;
+        }
+        
+        const MeasureControl = L.Control.extend({
+            options: { position: 'topleft' },
+            onAdd: () => {
+                const container = L.DomUtil.create('div', 'leaflet-bar measure-control');
+                container.innerHTML = `
+                    <a href="#" data-measure="distance" title="Measure distance"><i class="fas fa-ruler"></i></a>
+                    <a href="#" data-measure="area" title="Measure area"><i class="fas fa-vector-square"></i></a>
+                    <a href="#" data-measure="bearing" title="Measure bearing"><i class="fas fa-compass"></i></a>
+                    <a href="#" data-measure="units" title="Switch units" class="measure-units"></a>
+                    <a href="#" data-measure="clear" title="Clear measurements"><i class="fas fa-eraser"></i></a>
+                `;
+                
+                L.DomEvent.disableClickPropagation(container);
+                L.DomEvent.on(container, 'click', (e) => {
+                    const button = e.target.closest('[data-measure]');
+                    L.DomEvent.preventDefault(e);
+                    if (!button) {
+                        return;
+                    }
+                    
+                    const action = button.dataset.measure;
+                    if (action === 'units') {
+                        const order = ['m', 'km', 'ft'];
+                        this.setMeasureUnits(order[(order.indexOf(this.settings.measureUnits) + 1) % order.length]);
+                    } else if (action === 'clear') {
+                        this.clearMeasurements();
+                    } else {
+                        this.startMeasurement(action);
+                    }
+                });
+                
+                return container;
+            }
+        });
+        
+        this.map.addControl(new MeasureControl());
+        this.updateMeasureUnitsButton();
+        
+        this.map.on(L.Draw.Event.DRAWSTOP, () => {
+            if (this.activeMeasurement && !this.activeMeasurement.handler.enabled()) {
+                this.setMeasureButtonActive(null);
+                this.activeMeasurement = null;
+            }
+        });
+    }
+    
+    startMeasurement(kind) {
+        if (this.activeMeasurement) {
+            const wasActive = this.activeMeasurement.kind === kind;
+            this.activeMeasurement.handler.disable();
+            if (wasActive) {
+                return;
+            }
+        }
+        
+        const shapeOptions = { color: '#e67e22', weight: 3, dashArray: '6 4', fillOpacity: 0.1 };
+        const handler = kind === 'area'
+            ? new L.Draw.Polygon(this.map, { allowIntersection: false, showArea: false, shapeOptions: shapeOptions })
+            : new L.Draw.Polyline(this.map, { shapeOptions: shapeOptions, maxPoints: kind === 'bearing' ? 2 : 0 });
+        
+        this.activeMeasurement = { kind: kind, handler: handler };
+        this.setMeasureButtonActive(kind);
+        handler.enable();
+    }
+    
+    setMeasureButtonActive(kind) {
+        document.querySelectorAll('.measure-control [data-measure]').forEach(button => {
+            button.classList.toggle('active', button.dataset.measure === kind);
+        });
+    }
+    
+    finishMeasurement(layer) {
+        const measurement = {
+            id: Date.now(),
+            kind: this.activeMeasurement.kind,
+            layer: layer,
+            latlngs: layer instanceof L.Polygon ? layer.getLatLngs()[0] : layer.getLatLngs()
+        };
+        
+        this.measurements.push(measurement);
+        layer.addTo(this.measurementsLayer);
+        this.renderMeasurementLabel(measurement);
+        layer.openTooltip();
+    }
+    
+    describeMeasurement(kind, latlngs) {
+        if (kind === 'area') {
+            const ring = [...latlngs, latlngs[0]];
+            return `Area: ${this.formatArea(this.geodesicArea(latlngs))} · Perimeter: ${this.formatLength(this.geodesicLength(ring))}`;
+        }
+        
+        const parts = [`Length: ${this.formatLength(this.geodesicLength(latlngs))}`];
+        if (latlngs.length === 2 || kind === 'bearing') {
+            parts.push(`Bearing: ${this.formatBearing(this.geodesicInverse(latlngs[0], latlngs[latlngs.length - 1]).bearing)}`);
+        }
+        return parts.join(' · ');
+    }
+    
+    renderMeasurementLabel(measurement) {
+        const text = this.describeMeasurement(measurement.kind, measurement.latlngs);
+        
+        measurement.layer
+            .unbindTooltip()
+            .bindTooltip(text.replace(' · ', '<br>'), { permanent: true, direction: 'center', className: 'measure-tooltip' })
+            .unbindPopup()
+            .bindPopup(`
+                <div style="padding: 10px; min-width: 200px;">
+                    <div style="margin-bottom: 8px;">${text.split(' · ').join('<br>')}</div>
+                    <div class="d-flex gap-2">
+                        <button class="btn btn-sm btn-outline-primary flex-fill" onclick="window.app.saveMeasurementAsAnnotation(${measurement.id})">
+                            <i class="fas fa-save me-1"></i> Save
+                        </button>
+                        <button class="btn btn-sm btn-outline-danger flex-fill" onclick="window.app.removeMeasurement(${measurement.id})">
+                            <i class="fas fa-trash me-1"></i> Remove
+                        </button>
+                    </div>
+                </div>
+            `);
+    }
+    
+    saveMeasurementAsAnnotation(id) {
+        const measurement = this.measurements.find(item => item.id === id);
+        if (!measurement) {
+            return;
+        }
+        
+        this.pendingAnnotation = {
+            layer: measurement.layer,
+            shape: measurement.kind === 'area' ? 'polygon' : 'polyline',
+            measurementId: id
+        };
+        this.showAnnotationForm(null, {
+            type: 'Measurement',
+            notes: this.describeMeasurement(measurement.kind, measurement.latlngs)
+        });
+    }
+    
+    removeMeasurement(id) {
+        const measurement = this.measurements.find(item => item.id === id);
+        if (measurement) {
+            this.measurementsLayer.removeLayer(measurement.layer);
+            this.measurements = this.measurements.filter(item => item !== measurement);
+        }
+        this.map.closePopup();
+    }
+    
+    clearMeasurements() {
+        this.activeMeasurement?.handler.disable();
+        this.measurementsLayer?.clearLayers();
+        this.measurements = [];
+    }
+    
+    setMeasureUnits(units) {
+        this.settings = { ...this.settings, measureUnits: units };
+        
+        // Store only the unit choice so the remaining settings keep following the defaults
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(this.settingsKey)) || {};
+        } catch (error) {
+            console.warn('Ignoring unreadable settings:', error.message);
+        }
+        localStorage.setItem(this.settingsKey, JSON.stringify({ ...stored, measureUnits: units }));
+        
+        this.refreshMeasureUnits();
+    }
+    
+    refreshMeasureUnits() {
+        this.updateMeasureUnitsButton();
+        this.updateMapScale();
+        this.measurements.forEach(measurement => this.renderMeasurementLabel(measurement));
+        
+        if (this.processingResults.detection) {
+            this.displayDetectionResult(this.processingResults.detection);
+        }
+    }
+    
+    updateMeasureUnitsButton() {
+        const button = document.querySelector('.measure-control .measure-units');
+        if (button) {
+            button.textContent = this.settings.measureUnits;
+        }
+    }
+    
+    formatLength(meters) {
+        if (this.settings.measureUnits === 'ft') {
+            return `${(meters * 3.28084).toFixed(1)} ft`;
+        }
+        
+        if (this.settings.measureUnits === 'km') {
+            return `${(meters / 1000).toFixed(3)} km`;
+        }
+        
+        return `${meters.toFixed(2)} m`;
+    }
+    
+    formatArea(squareMeters) {
+        if (this.settings.measureUnits === 'ft') {
+            return `${(squareMeters * 10.7639).toFixed(1)} ft²`;
+        }
+        
+        if (this.settings.measureUnits === 'km') {
+            return `${(squareMeters / 1e6).toFixed(6)} km²`;
+        }
+        
+        return `${squareMeters.toFixed(2)} m²`;
+    }
+    
+    formatBearing(degrees) {
+        const points = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+        return `${degrees.toFixed(1)}° ${points[Math.round(degrees / 45) % 8]}`;
+    }
+    
+    geodesicInverse(from, to) {
+        // Vincenty's inverse formula on the WGS84 ellipsoid
+        const a = 6378137;
+        const f = 1 / 298.257223563;
+        const b = a * (1 - f);
+        const rad = Math.PI / 180;
+        const start = L.latLng(from);
+        const end = L.latLng(to);
+        
+        const L1 = (end.lng - start.lng) * rad;
+        const U1 = Math.atan((1 - f) * Math.tan(start.lat * rad));
+        const U2 = Math.atan((1 - f) * Math.tan(end.lat * rad));
+        const sinU1 = Math.sin(U1), cosU1 = Math.cos(U1);
+        const sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
+        
+        let lambda = L1;
+        let sinSigma, cosSigma, sigma, cosSqAlpha, cos2SigmaM, sinLambda, cosLambda;
+        
+        for (let i = 0; i < 200; i++) {
+            sinLambda = Math.sin(lambda);
+            cosLambda = Math.cos(lambda);
+            sinSigma = Math.sqrt((cosU2 * sinLambda) ** 2 + (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) ** 2);
+            if (sinSigma === 0) {
+                return { distance: 0, bearing: 0 };
+            }
+            cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+            sigma = Math.atan2(sinSigma, cosSigma);
+            const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+            cosSqAlpha = 1 - sinAlpha * sinAlpha;
+            cos2SigmaM = cosSqAlpha ? cosSigma - 2 * sinU1 * sinU2 / cosSqAlpha : 0;
+            const C = f / 16 * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+            const previous = lambda;
+            lambda = L1 + (1 - C) * f * sinAlpha *
+                (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+            
+            if (Math.abs(lambda - previous) < 1e-12) {
+                const uSq = cosSqAlpha * (a * a - b * b) / (b * b);
+                const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+                const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+                const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+                    B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+                const bearing = Math.atan2(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) / rad;
+                
+                return { distance: b * A * (sigma - deltaSigma), bearing: (bearing + 360) % 360 };
+            }
+        }
+        
+        // Nearly antipodal points do not converge; the spherical result is close enough
+        const y = Math.sin(L1) * Math.cos(end.lat * rad);
+        const x = Math.cos(start.lat * rad) * Math.sin(end.lat * rad) -
+            Math.sin(start.lat * rad) * Math.cos(end.lat * rad) * Math.cos(L1);
+        return { distance: start.distanceTo(end), bearing: (Math.atan2(y, x) / rad + 360) % 360 };
+    }
+    
+    geodesicLength(latlngs) {
+        let total = 0;
+        for (let i = 1; i < latlngs.length; i++) {
+            total += this.geodesicInverse(latlngs[i - 1], latlngs[i]).distance;
+        }
+        return total;
+    }
+    
+    geodesicArea(latlngs) {
+        // Spherical excess of the polygon on a sphere with the WGS84 equatorial radius
+        const radius = 6378137;
+        const rad = Math.PI / 180;
+        const points = latlngs.map(point => L.latLng(point));
+        let area = 0;
+        
+        for (let i = 0; i < points.length; i++) {
+            const p1 = points[i];
+            const p2 = points[(i + 1) % points.length];
+            area += (p2.lng - p1.lng) * rad * (2 + Math.sin(p1.lat * rad) + Math.sin(p2.lat * rad));
+        }
+        
+        return Math.abs(area * radius * radius / 2);
+    }
+    
+    getArtifactAreaSqm(artifact) {
+        if (artifact.geometry?.type === 'Polygon') {
+            return this.geodesicArea(this.getGeometryPositions(artifact.geometry).map(([lng, lat]) => [lat, lng]));
+        }
+        
+        // Lines and points drawn by hand have no area
+        if (artifact.geometry) {
+            return null;
+        }
+        
+        // Scale the detector's pixel area by the groundarea one bbox pixel covers
+        const corners = this.getArtifactCorners(artifact);
+        if (!corners) {
+            return null;
+        }
+        
+        const [, , width, height] = artifact.bbox;
+        if (!width || !height) {
+            return null;
+        }
+        
+        const pixels = typeof artifact.area === 'number' ? artifact.area : width * height;
+        return this.geodesicArea(corners) * pixels / (width * height);
+    }
+    
+    describeGeometry(geometry) {
+        const positions = this.getGeometryPositions(geometry).map(([lng, lat]) => [lat, lng]);
+        
+        if (geometry.type === 'Polygon') {
+            return this.describeMeasurement('area', positions);
+        }
+        
+        if (geometry.type === 'LineString') {
+            return this.describeMeasurement('distance', positions);
+        }
+        
+        return null;
+    }
+    
+    // Excavation Grid Methods
+    openGridPanel() {
+        const panel = document.getElementById('gridPanel');
+        if (!panel) {
+            return;
+        }
+        
+        // First use: start at the image's south-west corner and cover the whole image
+        const originInput = document.getElementById('gridOriginLat');
+        if (originInput && !originInput.value) {
+            const origin = this.imageBounds ? this.imageBounds[0] : [this.map.getCenter().lat, this.map.getCenter().lng];
+            const cellSize = 5;
+            let columns = 10;
+            let rows = 10;
+            
+            if (this.imageBounds) {
+                const [[south, west], [north, east]] = this.imageBounds;
+                const width = this.geodesicInverse([south, west], [south, east]).distance;
+                const height = this.geodesicInverse([south, west], [north, west]).distance;
+                columns = Math.min(50, Math.max(1, Math.ceil(width / cellSize)));
+                rows = Math.min(50, Math.max(1, Math.ceil(height / cellSize)));
+            }
+            
+            document.getElementById('gridOriginLat').value = origin[0].toFixed(7);
+            document.getElementById('gridOriginLng').value = origin[1].toFixed(7);
+            document.getElementById('gridCellSize').value = cellSize;
+            document.getElementById('gridRotation').value = 0;
+            document.getElementById('gridColumns').value = columns;
+            document.getElementById('gridRows').value = rows;
+        }
+        
+        panel.style.display = 'flex';
+    }
+    
+    closeGridPanel() {
+        this.stopGridOriginPick();
+        
+        const panel = document.getElementById('gridPanel');
+        if (panel) {
+            panel.style.display = 'none';
+        }
+    }
+    
+    startGridOriginPick() {
+        if (this.gridOriginPick) {
+            this.stopGridOriginPick();
+            return;
+        }
+        
+        this.gridOriginPick = (e) => {
+            document.getElementById('gridOriginLat').value = e.latlng.lat.toFixed(7);
+            document.getElementById('gridOriginLng').value = e.latlng.lng.toFixed(7);
+            this.stopGridOriginPick();
+        };
+        this.map.once('click', this.gridOriginPick);
+        this.map.getContainer().classList.add('grid-picking');
+        document.getElementById('pickGridOriginBtn')?.classList.add('active');
+    }
+    
+    stopGridOriginPick() {
+        if (this.gridOriginPick) {
+            this.map.off('click', this.gridOriginPick);
+            this.gridOriginPick = null;
+        }
+        this.map.getContainer().classList.remove('grid-picking');
+        document.getElementById('pickGridOriginBtn')?.classList.remove('active');
+    }
+    
+    readGridForm() {
+        const number = (id) => parseFloat(document.getElementById(id)?.value);
+        const config = {
+            origin: [number('gridOriginLat'), number('gridOriginLng')],
+            cellSize: number('gridCellSize'),
+            rotation: number('gridRotation') || 0,
+            columns: Math.round(number('gridColumns')),
+            rows: Math.round(number('gridRows')),
+            scheme: document.getElementById('gridLabelScheme')?.value || 'alphanumeric'
+        };
+        const errors = [];
+        
+        if (!(config.origin[0] >= -90 && config.origin[0] <= 90) || !(config.origin[1] >= -180 && config.origin[1] <= 180)) {
+            errors.push('Origin must be a valid latitude and longitude');
+        }
+        if (!(config.cellSize > 0)) {
+            errors.push('Cell size must be greater than zero');
+        }
+        if (!(config.columns >= 1) || !(config.rows >= 1)) {
+            errors.push('The grid needs at least one column and one row');
+        } else if (config.columns * config.rows > 2500) {
+            errors.push('A grid is limited to 2500 cells; use larger cells or fewer rows and columns');
+        }
+        
+        return { config, errors };
+    }
+    
+    async generateGrid() {
+        const { config, errors } = this.readGridForm();
+        if (errors.length) {
+            this.showNotification(errors.join('. '), 'warning');
+            return;
+        }
+        
+        const cells = [];
+        for (let row = 0; row < config.rows; row++) {
+            for (let column = 0; column < config.columns; column++) {
+                cells.push({
+                    column: column,
+                    row: row,
+                    label: this.getGridLabel(column, row, config),
+                    corners: [[column, row], [column + 1, row], [column + 1, row + 1], [column, row + 1]]
+                        .map(([x, y]) => this.gridToLatLng(config, x * config.cellSize, y * config.cellSize)),
+                    artifactCount: 0,
+                    artifactTypes: {},
+                    ruinsCoverage: null
+                });
+            }
+        }
+        
+        this.grid = { config: config, cells: cells };
+        await this.updateGridStats();
+        
+        // The grid may have been removed or regenerated while the stats were computed
+        if (this.grid?.cells === cells && this.gridLayer) {
+            this.map.fitBounds(this.gridLayer.getBounds(), { padding: [20, 20] });
+        }
+    }
+    
+    removeGrid() {
+        if (this.gridLayer) {
+            this.map.removeLayer(this.gridLayer);
+            this.gridLayer = null;
+        }
+        this.grid = null;
+        this.updateGridStatus();
+    }
+    
+    getGridLabel(column, row, config) {
+        if (config.scheme === 'numeric') {
+            return `${column + 1}-${row + 1}`;
+        }
+        
+        // Offsets of the cell's south-west corner from the origin, as surveyors stake them
+        if (config.scheme === 'metric') {
+            return `E${Number((column * config.cellSize).toFixed(2))} N${Number((row * config.cellSize).toFixed(2))}`;
+        }
+        
+        let letters = '';
+        for (let n = column + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+        }
+        return `${letters}${row + 1}`;
+    }
+    
+    getMetersPerDegree(lat) {
+        // WGS84 series expansion; accurate to centimetres over a site-sized grid
+        const phi = lat * Math.PI / 180;
+        return {
+            lat: 111132.92 - 559.82 * Math.cos(2 * phi) + 1.175 * Math.cos(4 * phi),
+            lng: 111412.84 * Math.cos(phi) - 93.5 * Math.cos(3 * phi)
+        };
+    }
+    
+    gridToLatLng(config, x, y) {
+        // Grid x runs along the rotated east axis, y along the rotated north axis (clockwise degrees)
+        const theta = config.rotation * Math.PI / 180;
+        const east = x * Math.cos(theta) + y * Math.sin(theta);
+        const north = -x * Math.sin(theta) + y * Math.cos(theta);
+        const scale = this.getMetersPerDegree(config.origin[0]);
+        return [config.origin[0] + north / scale.lat, config.origin[1] + east / scale.lng];
+    }
+    
+    latLngToGrid(config, lat, lng) {
+        const theta = config.rotation * Math.PI / 180;
+        const scale = this.getMetersPerDegree(config.origin[0]);
+        const north = (lat - config.origin[0]) * scale.lat;
+        const east = (lng - config.origin[1]) * scale.lng;
+        return [
+            east * Math.cos(theta) - north * Math.sin(theta),
+            east * Math.sin(theta) + north * Math.cos(theta)
+        ];
+    }
+    
+    async updateGridStats() {
+        if (!this.grid) {
+            return;
+        }
+        
+        const { config, cells } = this.grid;
+        cells.forEach(cell => {
+            cell.artifactCount = 0;
+            cell.artifactTypes = {};
+        });
+        
+        this.getDensityArtifacts(this.processingResults.detection?.artifacts || []).forEach(artifact => {
+            const center = this.getArtifactCenter(artifact);
+            if (!center) {
+                return;
+            }
+            
+            const [x, y] = this.latLngToGrid(config, center[0], center[1]);
+            const column = Math.floor(x / config.cellSize);
+            const row = Math.floor(y / config.cellSize);
+            if (column < 0 || row < 0 || column >= config.columns || row >= config.rows) {
+                return;
+            }
+            
+            const cell = cells[row * config.columns + column];
+            const type = artifact.type || 'Unknown';
+            cell.artifactCount++;
+            cell.artifactTypes[type] = (cell.artifactTypes[type] || 0) + 1;
+        });
+        
+        // Ruins coverage is sampled from the displayed mask on a 5 x 5 lattice per cell
+        const sampler = await this.getRuinsSampler();
+        cells.forEach(cell => {
+            cell.ruinsCoverage = null;
+            if (!sampler) {
+                return;
+            }
+            
+            let inside = 0;
+            let ruins = 0;
+            for (let i = 0; i < 5; i++) {
+                for (let j = 0; j < 5; j++) {
+                    const [lat, lng] = this.gridToLatLng(
+                        config,
+                        (cell.column + (i + 0.5) / 5) * config.cellSize,
+                        (cell.row + (j + 0.5) / 5) * config.cellSize
+                    );
+                    const sample = sampler(lat, lng);
+                    if (sample !== null) {
+                        inside++;
+                        ruins += sample ? 1 : 0;
+                    }
+                }
+            }
+            cell.ruinsCoverage = inside ? ruins / inside * 100 : null;
+        });
+        
+        // The grid may have been removed while the mask was loading
+        if (this.grid?.cells === cells) {
+            this.renderGrid();
+        }
+    }
+    
+    async getRuinsSampler() {
+        const url = this.segmentationLayer?._url;
+        if (!url || !this.imageBounds) {
+            return null;
+        }
+        
+        if (this.ruinsSampler?.url !== url) {
+            let pixels = null;
+            try {
+                const image = await this.loadImageElement(url);
+                const canvas = document.createElement('canvas');
+                canvas.width = image.naturalWidth;
+                canvas.height = image.naturalHeight;
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(image, 0, 0);
+                pixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            } catch (error) {
+                // A cross-origin mask cannot be read back
+                console.warn('Ruins coverage unavailable:', error.message);
+            }
+            this.ruinsSampler = { url: url, pixels: pixels };
+        }
+        
+        const pixels = this.ruinsSampler.pixels;
+        if (!pixels) {
+            return null;
+        }
+        
+        const ruins = this.segmentationClasses.find(cls => cls.key === 'ruins').color;
+        const [[south, west], [north, east]] = this.imageBounds;
+        
+        // Returns null outside the mask, otherwise whether the point is classed as ruins
+        return (lat, lng) => {
+            const x = Math.floor((lng - west) / (east - west) * pixels.width);
+            const y = Math.floor((north - lat) / (north - south) * pixels.height);
+            if (x < 0 || y < 0 || x >= pixels.width || y >= pixels.height) {
+                return null;
+            }
+            
+            const i = (y * pixels.width + x) * 4;
+            return pixels.data[i + 3] > 0 &&
+                pixels.data[i] === ruins[0] &&
+                pixels.data[i + 1] === ruins[1] &&
+                pixels.data[i + 2] === ruins[2];
+        };
+    }
+    
+    renderGrid() {
+        if (this.gridLayer) {
+            this.map.removeLayer(this.gridLayer);
+        }
+        
+        const { config, cells } = this.grid;
+        const maxCount = Math.max(1, ...cells.map(cell => cell.artifactCount));
+        const showLabels = cells.length <= 400;
+        
+        this.gridLayer = L.featureGroup(cells.map(cell => {
+            const types = Object.entries(cell.artifactTypes)
+                .sort((a, b) => b[1] - a[1])
+                .map(([type, count]) => `${this.escapeHTML(type)} (${count})`)
+                .join(', ');
+            
+            return L.polygon(cell.corners, {
+                color: '#f1c40f',
+                weight: 1,
+                fillColor: '#ff9900',
+                fillOpacity: cell.artifactCount ? 0.1 + 0.4 * cell.artifactCount / maxCount : 0.02
+            })
+                .bindTooltip(cell.label, showLabels
+                    ? { permanent: true, direction: 'center', className: 'grid-label' }
+                    : { sticky: true })
+                .bindPopup(`
+                    <div style="padding: 10px; min-width: 200px;">
+                        <h6 style="margin-bottom: 8px; color: #2c3e50; border-bottom: 1px solid #eee; padding-bottom: 5px;">
+                            <i class="fas fa-th"></i> Cell ${this.escapeHTML(cell.label)}
+                        </h6>
+                        <div style="margin-bottom: 5px;">
+                            <strong>Artifacts:</strong> ${cell.artifactCount}${types ? ` <small>(${types})</small>` : ''}
+                        </div>
+                        <div style="margin-bottom: 5px;">
+                            <strong>Ruins coverage:</strong> ${cell.ruinsCoverage !== null ? `${cell.ruinsCoverage.toFixed(0)}%` : 'N/A'}
+                        </div>
+                        <div style="font-size: 11px; color: #7f8c8d;">
+                            SW corner: ${cell.corners[0][0].toFixed(7)}, ${cell.corners[0][1].toFixed(7)}<br>
+                            ${config.cellSize} × ${config.cellSize} m, rotated ${config.rotation}°
+                        </div>
+                    </div>
+                `);
+        })).addTo(this.map);
+        
+        this.updateGridStatus();
+    }
+    
+    updateGridStatus() {
+        const status = document.getElementById('gridStatus');
+        if (!status) {
+            return;
+        }
+        
+        if (!this.grid) {
+            status.textContent = 'Set the origin and cell size, then generate the grid.';
+            return;
+        }
+        
+        const { config, cells } = this.grid;
+        const artifacts = cells.reduce((sum, cell) => sum + cell.artifactCount, 0);
+        status.textContent = `${config.columns} × ${config.rows} cells · ` +
+            `${this.formatLength(config.columns * config.cellSize)} × ${this.formatLength(config.rows * config.cellSize)} · ` +
+            `${artifacts} artifacts inside`;
+    }
+    
+    buildGridGeoJSON() {
+        const { config, cells } = this.grid;
+        
+        return {
+            type: 'FeatureCollection',
+            properties: {
+                origin: config.origin,
+                cell_size_m: config.cellSize,
+                rotation_deg: config.rotation,
+                label_scheme: config.scheme,
+                generated_at: new Date().toISOString()
+            },
+            features: cells.map(cell => {
+                const ring = cell.corners.map(([lat, lng]) => [lng, lat]);
+                ring.push(ring[0]);
+                return {
+                    type: 'Feature',
+                    geometry: { type: 'Polygon', coordinates: [ring] },
+                    properties: {
+                        label: cell.label,
+                        column: cell.column + 1,
+                        row: cell.row + 1,
+                        artifact_count: cell.artifactCount,
+                        artifact_types: cell.artifactTypes,
+                        ruins_coverage_pct: cell.ruinsCoverage !== null ? Number(cell.ruinsCoverage.toFixed(1)) : null
+                    }
+                };
+            })
+        };
+    }
+    
+    buildGridGPX() {
+        const { config } = this.grid;
+        const waypoints = [];
+        
+        // One stake per grid node, named after the cell it is the south-west corner of
+        for (let row = 0; row <= config.rows; row++) {
+            for (let column = 0; column <= config.columns; column++) {
+                const [lat, lng] = this.gridToLatLng(config, column * config.cellSize, row * config.cellSize);
+                waypoints.push(`
+  <wpt lat="${lat.toFixed(8)}" lon="${lng.toFixed(8)}">
+    <name>${this.escapeHTML(this.getGridLabel(column, row, config))}</name>
+    <desc>Grid node, SW corner of cell ${this.escapeHTML(this.getGridLabel(column, row, config))}</desc>
+    <sym>Flag, Blue</sym>
+  </wpt>`);
+            }
+        }
+        
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="ArchaeoAI" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${this.escapeHTML(this.getExportBaseName())} excavation grid</name>
+    <time>${new Date().toISOString()}</time>
+  </metadata>${waypoints.join('')}
+</gpx>
+`;
+    }
+    
+    exportGrid(format) {
+        if (!this.grid) {
+            this.showNotification('Generate a grid first', 'warning');
+            return;
+        }
+        
+        try {
+            if (format === 'gpx') {
+                this.downloadFile(this.buildGridGPX(), `${this.getExportBaseName()}_grid.gpx`, 'application/gpx+xml');
+            } else {
+                this.downloadFile(
+                    JSON.stringify(this.buildGridGeoJSON(), null, 2),
+                    `${this.getExportBaseName()}_grid.geojson`,
+                    'application/geo+json'
+                );
+            }
+            this.showNotification(`Grid exported as ${format.toUpperCase()}`, 'success');
+        } catch (error) {
+            console.error('Grid export failed:', error);
+            this.showNotification('Grid export failed: ' + error.message, 'error');
+        }
+    }
+    
+    // Annotation Methods
+    initAnnotationTools() {
+        this.annotationsLayer = L.featureGroup().addTo(this.map);
+        
+        if (!L.Control.Draw) {
+            console.warn('Leaflet.draw not loaded, annotation tools disabled');
+            return;
+        }
+        
+        const shapeOptions = { color: '#9b59b6', weight: 2, fillOpacity: 0.2 };
+        
+        // showArea is off because Leaflet.draw 1.0.4's area tooltip breaks on Leaflet 1.9
+        this.map.addControl(new L.Control.Draw({
+            position: 'topleft',
+            draw: {
+                marker: true,
+                polyline: { shapeOptions: shapeOptions },
+                polygon: { allowIntersection: false, showArea: false, shapeOptions: shapeOptions },
+                rectangle: { showArea: false, shapeOptions: shapeOptions },
+                circle: false,
+                circlemarker: false
+            },
+            edit: {
+                featureGroup: this.annotationsLayer
+            }
+        }));
+        
+        this.map.on(L.Draw.Event.CREATED, (e) => {
+            if (this.activeMeasurement) {
+                this.finishMeasurement(e.layer);
+                return;
+            }
+            
+            this.pendingAnnotation = { layer: e.layer, shape: e.layerType };
+            this.showAnnotationForm(null);
+        });
+        
+        this.map.on(L.Draw.Event.EDITED, (e) => {
+            e.layers.eachLayer(layer => {
+                const artifact = this.findArtifact(layer.artifactId);
+                if (artifact) {
+                    artifact.geometry = layer.toGeoJSON().geometry;
+                    Object.assign(artifact, this.geometryToPixels(artifact.geometry));
+                    artifact.updated_at = new Date().toISOString();
+                }
+            });
+            this.refreshDetectionViews();
+        });
+        
+        this.map.on(L.Draw.Event.DELETED, (e) => {
+            const ids = [];
+            e.layers.eachLayer(layer => ids.push(layer.artifactId));
+            this.removeArtifacts(ids);
+        });
+    }
+    
+    renderAnnotations(artifacts) {
+        if (!this.annotationsLayer) {
+            return;
+        }
+        
+        this.annotationsLayer.clearLayers();
+        
+        artifacts.filter(artifact => artifact.geometry && this.isArtifactVisible(artifact)).forEach(artifact => {
+            const isManual = artifact.source === 'manual';
+            const color = isManual ? '#9b59b6' : '#ff9900';
+            const style = this.getArtifactStyle(artifact, color);
+            
+            // Points become markers so Leaflet.draw can drag them in edit mode
+            const layer = L.geoJSON(artifact.geometry, {
+                style: { ...style, weight: 2, fillOpacity: style.fillOpacity + 0.05 },
+                pointToLayer: (feature, latlng) => L.marker(latlng)
+            }).getLayers()[0];
+            
+            if (!layer) {
+                return;
+            }
+            
+            layer.artifactId = artifact.id;
+            layer.bindPopup(`
+                <div style="padding: 10px; min-width: 220px;">
+                    <h6 style="margin-bottom: 8px; color: #2c3e50; border-bottom: 1px solid #eee; padding-bottom: 5px;">
+                        <i class="fas ${isManual ? 'fa-pen' : 'fa-search'}"></i> ${isManual ? 'Annotation' : 'Artifact'} ${artifact.id}
+                    </h6>
+                    <div style="margin-bottom: 5px;">
+                        <strong>Type:</strong>
+                        <span class="badge" style="background-color: ${color}; color: white; padding: 2px 8px; border-radius: 10px;">
+                            ${this.escapeHTML(artifact.type || 'Unknown')}
+                        </span>
+                    </div>
+                    <div style="margin-bottom: 5px;">
+                        <strong>Confidence:</strong> ${this.formatConfidence(artifact)}
+                    </div>
+                    <div style="margin-bottom: 5px;">
+                        <strong>Review:</strong> ${this.formatReviewStatus(artifact)}
+                    </div>
+                    ${this.describeGeometry(artifact.geometry) ? `<div style="margin-bottom: 5px;">${this.describeGeometry(artifact.geometry)}</div>` : ''}
+                    ${artifact.notes ? `<div style="margin-bottom: 5px;"><strong>Notes:</strong> ${this.escapeHTML(artifact.notes)}</div>` : ''}
+                    <div class="d-flex gap-2 mt-2">
+                        <button class="btn btn-sm btn-outline-primary flex-fill" onclick="window.app.showAnnotationForm(${artifact.id})">
+                            <i class="fas fa-edit me-1"></i> Edit
+                        </button>
+                        <button class="btn btn-sm btn-outline-danger flex-fill" onclick="window.app.removeArtifacts([${artifact.id}])">
+                            <i class="fas fa-trash me-1"></i> Delete
+                        </button>
+                    </div>
+                </div>
+            `);
+            
+            this.annotationsLayer.addLayer(layer);
+        });
+    }
+    
+    showAnnotationForm(id, defaults = {}) {
+        const modalElement = document.getElementById('annotationModal');
+        if (!modalElement) {
+            return;
+        }
+        
+        const artifact = id !== null ? this.findArtifact(id) : null;
+        if (id !== null && !artifact) {
+            return;
+        }
+        
+        this.map.closePopup();
+        document.getElementById('annotationId').value = artifact ? artifact.id : '';
+        document.getElementById('annotationType').value = artifact?.type || defaults.type || '';
+        document.getElementById('annotationNotes').value = artifact?.notes || defaults.notes || '';
+        document.getElementById('annotationTitle').textContent = artifact
+            ? `Edit ${artifact.source === 'manual' ? 'Annotation' : 'Artifact'} ${artifact.id}`
+            : 'New Annotation';
+        
+        bootstrap.Modal.getOrCreateInstance(modalElement).show();
+    }
+    
+    saveAnnotationForm() {
+        const type = document.getElementById('annotationType').value.trim();
+        const notes = document.getElementById('annotationNotes').value.trim();
+        const id = document.getElementById('annotationId').value;
+        
+        if (!type) {
+            this.showNotification('Enter a type for the annotation', 'warning');
+            return;
+        }
+        
+        if (id) {
+            const artifact = this.findArtifact(parseInt(id, 10));
+            if (artifact) {
+                artifact.type = type;
+                artifact.notes = notes;
+                artifact.updated_at = new Date().toISOString();
+            }
+        } else if (this.pendingAnnotation) {
+            const { layer, shape } = this.pendingAnnotation;
+            const geometry = layer.toGeoJSON().geometry;
+            const detection = this.ensureDetectionResult();
+            
+            detection.artifacts.push({
+                id: this.nextArtifactId(),
+                type: type,
+                notes: notes,
+                confidence: 'manual',
+                source: 'manual',
+                shape: shape,
+                geometry: geometry,
+                ...this.geometryToPixels(geometry),
+                created_at: new Date().toISOString()
+            });
+            
+            // A saved measurement lives on as the annotation
+            if (this.pendingAnnotation.measurementId) {
+                this.removeMeasurement(this.pendingAnnotation.measurementId);
+            }
+            this.pendingAnnotation = null;
+        }
+        
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('annotationModal')).hide();
+        this.refreshDetectionViews();
+    }
+    
+    convertToAnnotation(id) {
+        const artifact = this.findArtifact(id);
+        const corners = artifact ? this.getArtifactCorners(artifact) : null;
+        if (!corners) {
+            return;
+        }
+        
+        // The detector box becomes an editable polygon; its score is kept
+        const ring = corners.map(([lat, lng]) => [lng, lat]);
+        ring.push(ring[0]);
+        artifact.geometry = { type: 'Polygon', coordinates: [ring] };
+        artifact.source = 'edited';
+        artifact.shape = artifact.shape || 'rectangle';
+        
+        this.map.closePopup();
+        this.refreshDetectionViews();
+        this.showNotification('Use the edit tool (pencil) in the map toolbar to adjust the box', 'info');
+    }
+    
+    removeArtifacts(ids) {
+        const detection = this.processingResults.detection;
+        if (!detection?.artifacts) {
+            return;
+        }
+        
+        detection.artifacts = detection.artifacts.filter(artifact => !ids.includes(artifact.id));
+        this.map.closePopup();
+        this.refreshDetectionViews();
+    }
+    
+    ensureDetectionResult() {
+        if (!this.processingResults.detection) {
+            this.processingResults.detection = {
+                success: true,
+                artifacts: [],
+                total_detected: 0,
+                method: 'manual',
+                detection_map: null
+            };
+        }
+        
+        this.processingResults.detection.artifacts = this.processingResults.detection.artifacts || [];
+        return this.processingResults.detection;
+    }
+    
+    keepAnnotations(result) {
+        // Hand-drawn features survive a new detection run; edited boxes belong to the old run
+        const manual = (this.processingResults.detection?.artifacts || [])
+            .filter(artifact => artifact.source === 'manual');
+        
+        if (!manual.length) {
+            return result;
+        }
+        
+        const artifacts = [...(result.artifacts || [])];
+        let nextId = artifacts.reduce((max, artifact) => Math.max(max, artifact.id || 0), 0) + 1;
+        manual.forEach(artifact => artifacts.push({ ...artifact, id: nextId++ }));
+        
+        return { ...result, artifacts: artifacts, total_detected: artifacts.length };
+    }
+    
+    findArtifact(id) {
+        return this.processingResults.detection?.artifacts?.find(artifact => artifact.id === id) || null;
+    }
+    
+    nextArtifactId() {
+        const artifacts = this.processingResults.detection?.artifacts || [];
+        return artifacts.reduce((max, artifact) => Math.max(max, artifact.id || 0), 0) + 1;
+    }
+    
+    refreshDetectionViews() {
+        const detection = this.processingResults.detection;
+        if (!detection) {
+            return;
+        }
+        
+        detection.total_detected = detection.artifacts.length;
+        this.displayDetectionResult(detection);
+        this.updateResultsPanel('detection', detection, true);
+        this.updateLegendValues();
+        this.saveProject();
+    }
+    
+    geometryToPixels(geometry) {
+        // Image pixel equivalents let drawn features share the detector's table columns
+        const positions = this.getGeometryPositions(geometry);
+        const pixels = positions.map(([lng, lat]) => this.latLngToPixel(lat, lng));
+        
+        if (!pixels.length || pixels.some(pixel => !pixel)) {
+            return { center: null, bbox: null, area: null };
+        }
+        
+        const xs = pixels.map(pixel => pixel[0]);
+        const ys = pixels.map(pixel => pixel[1]);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        
+        let area = null;
+        if (geometry.type === 'Polygon') {
+            area = 0;
+            for (let i = 0, j = pixels.length - 1; i < pixels.length; j = i++) {
+                area += (pixels[j][0] + pixels[i][0]) * (pixels[j][1] - pixels[i][1]);
+            }
+            area = Math.round(Math.abs(area / 2));
+        }
+        
+        return {
+            center: [
+                Math.round(xs.reduce((sum, x) => sum + x, 0) / xs.length),
+                Math.round(ys.reduce((sum, y) => sum + y, 0) / ys.length)
+            ],
+            bbox: [
+                Math.round(minX),
+                Math.round(minY),
+                Math.round(Math.max(...xs) - minX),
+                Math.round(Math.max(...ys) - minY)
+            ],
+            area: area
+        };
+    }
+    
+    getGeometryPositions(geometry) {
+        if (geometry.type === 'Point') {
+            return [geometry.coordinates];
+        }
+        
+        if (geometry.type === 'LineString') {
+            return geometry.coordinates;
+        }
+        
+        // Outer ring without the closing vertex
+        if (geometry.type === 'Polygon') {
+            return geometry.coordinates[0].slice(0, -1);
+        }
+        
+        return [];
+    }
+    
+    getGeometryCenter(geometry) {
+        const positions = this.getGeometryPositions(geometry);
+        if (!positions.length) {
+            return null;
+        }
+        
+        const lng = positions.reduce((sum, position) => sum + position[0], 0) / positions.length;
+        const lat = positions.reduce((sum, position) => sum + position[1], 0) / positions.length;
+        return [lat, lng];
+    }
+    
+    latLngToPixel(lat, lng) {
+        // Invert the ground-control-point fit when there is one
+        const transform = this.currentImage?.georeference?.transform;
+        if (transform) {
+            const [a, b, c] = transform.lng;
+            const [d, e, f] = transform.lat;
+            const determinant = a * e - b * d;
+            if (!determinant) {
+                return null;
+            }
+            return [
+                (e * (lng - c) - b * (lat - f)) / determinant,
+                (a * (lat - f) - d * (lng - c)) / determinant
+            ];
+        }
+        
+        const size = this.getImagePixelSize();
+        if (!this.imageBounds || !size) {
+            return null;
+        }
+        
+        const [[south, west], [north, east]] = this.imageBounds;
+        return [
+            (lng - west) / (east - west) * size.width,
+            (north - lat) / (north - south) * size.height
+        ];
+    }
+    
+    getArtifactCorners(artifact) {
+        if (!Array.isArray(artifact.bbox) || artifact.bbox.length !== 4) {
+            return null;
+        }
+        
+        // Corners in pixel order; an affine georeference may rotate the box
+        const [x, y, w, h] = artifact.bbox;
+        const corners = [[x, y], [x + w, y], [x + w, y + h], [x, y + h]]
+            .map(([px, py]) => this.pixelToLatLng(px, py));
+        
+        return corners.every(Boolean) ? corners : null;
+    }
+
+    getArtifactCenter(artifact) {
+        // Annotations are stored in map coordinates and stay put if the image moves
+        if (artifact.geometry) {
+            return this.getGeometryCenter(artifact.geometry);
+        }
+        
+        if (Array.isArray(artifact.center) && artifact.center.length === 2) {
+            return this.pixelToLatLng(artifact.center[0], artifact.center[1]);
+        }
+        
+        if (Array.isArray(artifact.bbox) && artifact.bbox.length === 4) {
+            const [x, y, w, h] = artifact.bbox;
+            return this.pixelToLatLng(x + w / 2, y + h / 2);
+        }
+        
+        return null;
+    }
+
+    clearResults() {
+        if (this.artifactsLayer) {
+            this.map.removeLayer(this.artifactsLayer);
+            this.artifactsLayer = null;
+        }
+        
+        this.annotationsLayer?.clearLayers();
+        this.clearDensityLayers();
+        
+        if (this.segmentationLayer) {
+            this.map.removeLayer(this.segmentationLayer);
+            this.segmentationLayer = null;
+        }
+        
+        this.processingResults = {
+            segmentation: null,
+            detection: null,
+            statistics: null
+        };
+        this.updateGridStats();
+        
         const container = document.getElementById("resultsContainer");
+        if (container) {
+            container.innerHTML = `
+                <div class="text-center py-4">
+                    <i class="fas fa-inbox fa-3x mb-3" style="opacity: 0.3;"></i>
+                    <p class="text-light mb-0" style="opacity: 0.6;">No results yet.<br>Upload an image and run processing tools.</p>
+                </div>
+            `;
+        }
+
+        // Update legend values
+        this.updateLegendValues();
+
+        this.showNotification("All results cleared", "info");
+    }
+
+    toggleOverlay(type) {
+        const checkbox = document.getElementById(`show${type.charAt(0).toUpperCase() + type.slice(1)}`);
+        const isVisible = checkbox?.checked || false;
+
+        if (type === "detection") {
+            [this.artifactsLayer, this.annotationsLayer].filter(Boolean).forEach(layer => {
+                if (isVisible) {
+                    this.map.addLayer(layer);
+                } else {
+                    this.map.removeLayer(layer);
+                }
+            });
+        }
+        
+        if (type === "segmentation" && this.segmentationLayer) {
+            if (isVisible) {
+                this.map.addLayer(this.segmentationLayer);
+            } else {
+                this.map.removeLayer(this.segmentationLayer);
+            }
+        }
+        
+        const densityLayer = { heatmap: this.heatmapLayer, clusters: this.clusterLayer }[type];
+        if (densityLayer) {
+            if (isVisible) {
+                this.map.addLayer(densityLayer);
+            } else {
+                this.map.removeLayer(densityLayer);
+            }
+        }
+    }
+
+    toggleBaseMap() {
+        const checkbox = document.getElementById('showBaseMap');
+        const isVisible = checkbox?.checked || false;
+        
+        if (this.imageOverlay) {
+            if (isVisible) {
+                this.map.addLayer(this.imageOverlay);
+            } else {
+                this.map.removeLayer(this.imageOverlay);
+            }
+        }
+    }
+
+    fitToBounds() {
+        if (this.imageOverlay && this.imageBounds) {
+            this.map.fitBounds(this.imageBounds);
+            this.showNotification('Map fitted to image bounds', 'success');
+        } else {
+            this.showNotification('No image loaded', 'warning');
+        }
+    }
+
+    updateMapScale() {
+        const metersPerPixel = this.getMetersPerPixel();
+        if (!metersPerPixel) {
+            return;
+        }
+        
+        const bar = this.getScaleBar(metersPerPixel);
+        
+        const scaleElement = document.getElementById('mapScale');
+        if (scaleElement) {
+            scaleElement.textContent = `1:${this.getRepresentativeFraction(metersPerPixel).toLocaleString()}`;
+        }
+        
+        const barLabel = document.getElementById('mapScaleBar');
+        if (barLabel) {
+            barLabel.textContent = `${bar.label} = ${Math.round(bar.width)} px at ${this.settings.screenDpi} DPI`;
+        }
+        
+        const control = this.scaleControl?.getContainer();
+        if (control) {
+            control.innerHTML = `<div class="map-scale-bar-line" style="width: ${bar.width}px;"></div><span>${bar.label}</span>`;
+        }
+    }
+    
+    getMetersPerPixel(map = this.map) {
+        // Ground distance across 100 screen pixels through the view center
+        const size = map.getSize();
+        if (!size.x) {
+            return null;
+        }
+        
+        const y = size.y / 2;
+        const left = map.containerPointToLatLng([size.x / 2 - 50, y]);
+        const right = map.containerPointToLatLng([size.x / 2 + 50, y]);
+        return this.geodesicInverse(left, right).distance / 100;
+    }
+    
+    getRepresentativeFraction(metersPerPixel) {
+        // One CSS pixel is 1/dpi of an inch on screen
+        const denominator = metersPerPixel * this.settings.screenDpi / 0.0254;
+        return Number(denominator.toPrecision(3));
+    }
+    
+    getScaleBar(metersPerPixel, maxWidth = 120) {
+        const round = (value) => {
+            const power = Math.pow(10, Math.floor(Math.log10(value)));
+            const digit = value / power;
+            return Number(((digit >= 5 ? 5 : digit >= 2 ? 2 : 1) * power).toPrecision(1));
+        };
+        const maxMeters = metersPerPixel * maxWidth;
+        
+        let meters;
+        let label;
+        if (this.settings.measureUnits === 'ft') {
+            const feet = maxMeters / 0.3048;
+            if (feet >= 5280) {
+                const miles = round(feet / 5280);
+                meters = miles * 1609.344;
+                label = `${miles} mi`;
+            } else {
+                const length = round(feet);
+                meters = length * 0.3048;
+                label = `${length} ft`;
+            }
+        } else if (maxMeters >= 1000) {
+            const km = round(maxMeters / 1000);
+            meters = km * 1000;
+            label = `${km} km`;
+        } else {
+            meters = round(maxMeters);
+            label = `${meters} m`;
+        }
+        
+        return { width: meters / metersPerPixel, label: label };
+    }
+    
+    drawScaleBar(ctx, metersPerPixel, height) {
+        const bar = this.getScaleBar(metersPerPixel);
+        const x = 12;
+        const y = height - 14;
+        
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.fillRect(x - 6, y - 22, bar.width + 12, 30);
+        ctx.strokeStyle = '#2c3e50';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x, y - 6);
+        ctx.lineTo(x, y);
+        ctx.lineTo(x + bar.width, y);
+        ctx.lineTo(x + bar.width, y - 6);
+        ctx.stroke();
+        ctx.fillStyle = '#2c3e50';
+        ctx.font = '12px sans-serif';
+        ctx.fillText(bar.label, x, y - 9);
+    }
+
+    viewResults(type) {
+        const modalElement = document.getElementById('resultsModal');
+        const modal = bootstrap.Modal.getOrCreateInstance(modalElement);
+        const modalTitle = document.getElementById('modalTitle');
+        const modalBody = document.getElementById('modalBody');
+        
+        modalTitle.textContent = `${type.charAt(0).toUpperCase() + type.slice(1)} Results`;
+        
+        let content = '';
+        
+        if (type === 'detection' && this.processingResults?.detection) {
+            const artifacts = this.processingResults.detection.artifacts || [];
+            
+            content = this.getChartsHTML(['types', 'confidence', 'scatter']) + `
+                <div style="max-height: 400px; overflow-y: auto;">
+                    <h6 class="mb-3">Total Artifacts Detected: ${artifacts.length}</h6>
+                    <table class="table table-striped">
+                        <thead>
+                            <tr>
+                                <th>ID</th>
+                                <th>Type</th>
+                                <th>Confidence</th>
+                                <th>Area (pixels)</th>
+                                <th>Ground Area</th>
+                                <th>Review</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+            `;
+            
+            artifacts.forEach(artifact => {
+                content += `
+                    <tr>
+                        <td>${artifact.id || 'N/A'}</td>
+                        <td><span class="badge bg-info">${this.escapeHTML(artifact.type || 'Unknown')}</span></td>
+                        <td>${this.formatConfidence(artifact)}</td>
+                        <td>${Number(artifact.area || 0).toFixed(2)}</td>
+                        <td>${this.getArtifactAreaSqm(artifact) !== null ? this.formatArea(this.getArtifactAreaSqm(artifact)) : 'N/A'}</td>
+                        <td>${this.formatReviewStatus(artifact)}</td>
+                    </tr>
+                `;
+            });
+            
+            content += `
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        }
+        else if (type === 'segmentation' && this.processingResults?.segmentation) {
+            const data = this.processingResults.segmentation;
+            
+            content = `
+                <div class="row">
+                    <div class="col-md-4">
+                        <div class="card">
+                            <div class="card-body text-center">
+                                <h1 class="text-warning">${this.formatPercentage(data.ruins_percentage, 1)}</h1>
+                                <p class="card-text"><i class="fas fa-landmark"></i> Ruins</p>
+                            </div>
+                        </div>
+                    </div>
+                    <div class="col-md-4">
+                        <div class="card">
+                            <div class="card-body text-center">
+                                <h1 class="text-success">${this.formatPercentage(data.vegetation_percentage, 1)}</h1>
+                                <p class="card-text"><i class="fas fa-leaf"></i> Vegetation</p>
+                            </div>
+                        </div>
+                    </div>
+                    <div class="col-md-4">
+                        <div class="card">
+                            <div class="card-body text-center">
+                                <h1 class="text-info">${this.formatPercentage(data.water_percentage, 1)}</h1>
+                                <p class="card-text"><i class="fas fa-water"></i> Water</p>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+                <div class="mt-3">
+                    ${this.getChartsHTML(['landCover'])}
+                </div>
+            `;
+        }
+        else if (type === 'combined' && this.processingResults?.statistics) {
+            const stats = this.processingResults.statistics;
+            const seg = this.processingResults.segmentation;
+            const det = this.processingResults.detection;
+            
+            content = `
+                <div class="container-fluid">
+                    <div class="row mb-4">
+                        <div class="col-md-6">
+                            <div class="card">
+                                <div class="card-header bg-primary text-white">
+                                    <h6 class="mb-0"><i class="fas fa-chart-bar"></i> Analysis Summary</h6>
+                                </div>
+                                <div class="card-body">
+                                    <div class="row">
+                                        <div class="col-6">
+                                            <div class="text-center p-2">
+                                                <h3 class="text-warning">${this.formatPercentage(stats.ruins_coverage, 1)}</h3>
+                                                <small>Ruins Coverage</small>
+                                            </div>
+                                        </div>
+                                        <div class="col-6">
+                                            <div class="text-center p-2">
+                                                <h3 class="text-success">${stats.artifact_count || 0}</h3>
+                                                <small>Artifacts Found</small>
+                                            </div>
+                                        </div>
+                                        <div class="col-6">
+                                            <div class="text-center p-2">
+                                                <h3 class="text-info">${this.formatPercentage(stats.vegetation_coverage, 1)}</h3>
+                                                <small>Vegetation</small>
+                                            </div>
+                                        </div>
+                                        <div class="col-6">
+                                            <div class="text-center p-2">
+                                                <h3 class="text-primary">${this.formatPercentage(stats.water_coverage, 1)}</h3>
+                                                <small>Water Bodies</small>
+                                            </div>
+                                        </div>
+                                    </div>
+                                </div>
+                            </div>
+                        </div>
+                        <div class="col-md-6">
+                            <div class="card">
+                                <div class="card-header bg-success text-white">
+                                    <h6 class="mb-0"><i class="fas fa-info-circle"></i> Processing Details</h6>
+                                </div>
+                                <div class="card-body">
+                                    <p><strong>Image Name:</strong> ${stats.image_name}</p>
+                                    <p><strong>Processing Mode:</strong> ${stats.processing_mode}</p>
+                                    <p><strong>Timestamp:</strong> ${new Date(stats.timestamp).toLocaleString()}</p>
+                                    <p><strong>Summary:</strong> ${stats.summary}</p>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                    
+                    <div class="row">
+                        <div class="col-12">
+                            <div class="card">
+                                <div class="card-header bg-warning text-dark">
+                                    <h6 class="mb-0"><i class="fas fa-chart-pie"></i> Detailed Results</h6>
+                                </div>
+                                <div class="card-body">
+                                    ${this.getChartsHTML([
+                                        ...(seg ? ['landCover'] : []),
+                                        ...(det?.artifacts?.length ? ['types', 'confidence', 'scatter'] : [])
+                                    ])}
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }
+        
+        modalBody.innerHTML = content || '<p class="text-center py-4">No results available.</p>';
+        
+        // Plotly needs the modal laid out to size its charts
+        modalElement.addEventListener('shown.bs.modal', () => this.renderResultCharts(modal), { once: true });
+        modalElement.addEventListener('hidden.bs.modal', () => this.purgeResultCharts(), { once: true });
+        modal.show();
+    }
+
+    // Chart Methods
+    getChartsHTML(charts) {
+        const titles = {
+            landCover: 'Land Cover',
+            types: 'Artifact Types',
+            confidence: 'Confidence Distribution',
+            scatter: 'Area vs Confidence'
+        };
+        
+        return `
+            <div class="row g-3 mb-3 justify-content-center">
+                ${charts.map(chart => `
+                    <div class="col-md-6">
+                        <div class="card h-100">
+                            <div class="card-header py-2">
+                                <h6 class="mb-0">${titles[chart]}</h6>
+                            </div>
+                            <div class="card-body p-1">
+                                <div class="results-chart" id="chart-${chart}"></div>
+                            </div>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+            ${charts.some(chart => chart !== 'landCover') ? '<p class="text-muted small mb-3"><i class="fas fa-mouse-pointer me-1"></i> Click a bar or point to highlight those artifacts on the map.</p>' : ''}
+        `;
+    }
+    
+    renderResultCharts(modal) {
+        if (typeof Plotly === 'undefined') {
+            document.querySelectorAll('.results-chart').forEach(element => {
+                element.innerHTML = '<p class="text-center text-muted py-4">Charts unavailable (Plotly not loaded)</p>';
+            });
+            return;
+        }
+        
+        const seg = this.processingResults.segmentation;
+        const artifacts = this.processingResults.detection?.artifacts || [];
+        const scored = artifacts.filter(artifact => typeof artifact.confidence === 'number');
+        const layout = {
+            margin: { t: 10, r: 10, b: 40, l: 45 },
+            height: 260,
+            paper_bgcolor: 'rgba(0,0,0,0)',
+            plot_bgcolor: 'rgba(0,0,0,0)',
+            font: { size: 11 }
+        };
+        const config = { displaylogo: false, responsive: true, modeBarButtonsToRemove: ['lasso2d', 'select2d'] };
+        
+        const plot = (id, data, extraLayout, onClick) => {
+            const element = document.getElementById(id);
+            if (!element) {
+                return;
+            }
+            
+            if (!data.length) {
+                element.innerHTML = '<p class="text-center text-muted py-4">No data</p>';
+                return;
+            }
+            
+            Plotly.newPlot(element, data, { ...layout, ...extraLayout }, config);
+            if (onClick) {
+                element.on('plotly_click', (e) => {
+                    const ids = onClick(e.points[0]);
+                    if (ids.length) {
+                        modal.hide();
+                        this.highlightArtifacts(ids);
+                    }
+                });
+            }
+        };
+        
+        if (seg) {
+            const ruins = Number(seg.ruins_percentage || 0);
+            const vegetation = Number(seg.vegetation_percentage || 0);
+            const water = Number(seg.water_percentage || 0);
+            const other = Math.max(0, 100 - ruins - vegetation - water);
+            
+            plot('chart-landCover', [{
+                type: 'pie',
+                hole: 0.5,
+                sort: false,
+                labels: ['Ruins', 'Vegetation', 'Water', 'Other'],
+                values: [ruins, vegetation, water, other],
+                marker: { colors: ['#ff7800', '#00cc00', '#3498db', '#95a5a6'] },
+                textinfo: 'label+percent',
+                hovertemplate: '%{label}: %{value:.1f}%<extra></extra>'
+            }], { margin: { t: 10, r: 10, b: 10, l: 10 }, showlegend: false });
+        }
+        
+        const counts = {};
+        artifacts.forEach(artifact => {
+            const type = artifact.type || 'Unknown';
+            counts[type] = (counts[type] || 0) + 1;
+        });
+        const types = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+        
+        plot('chart-types', types.length ? [{
+            type: 'bar',
+            x: types,
+            y: types.map(type => counts[type]),
+            marker: { color: '#ff9900' },
+            hovertemplate: '%{x}: %{y}<extra></extra>'
+        }] : [], { yaxis: { title: 'Count', dtick: 1 } }, (point) => {
+            return artifacts.filter(artifact => (artifact.type || 'Unknown') === point.x).map(artifact => artifact.id);
+        });
+        
+        plot('chart-confidence', scored.length ? [{
+            type: 'histogram',
+            x: scored.map(artifact => artifact.confidence * 100),
+            xbins: { start: 0, end: 100, size: 5 },
+            marker: { color: '#3498db' },
+            hovertemplate: '%{x}%: %{y}<extra></extra>'
+        }] : [], { xaxis: { title: 'Confidence (%)', range: [0, 100] }, yaxis: { title: 'Count' }, bargap: 0.05 }, (point) => {
+            return (point.pointNumbers || []).map(index => scored[index].id);
+        });
+        
+        const sized = scored.filter(artifact => typeof artifact.area === 'number');
+        plot('chart-scatter', sized.length ? [{
+            type: 'scatter',
+            mode: 'markers',
+            x: sized.map(artifact => artifact.area),
+            y: sized.map(artifact => artifact.confidence * 100),
+            customdata: sized.map(artifact => artifact.id),
+            text: sized.map(artifact => artifact.type || 'Unknown'),
+            marker: { size: 9, color: '#9b59b6', opacity: 0.75 },
+            hovertemplate: '#%{customdata} %{text}<br>Area: %{x:.0f} px<br>Confidence: %{y:.1f}%<extra></extra>'
+        }] : [], { xaxis: { title: 'Area (pixels)', type: 'log' }, yaxis: { title: 'Confidence (%)', range: [0, 105] } }, (point) => {
+            return [point.customdata];
+        });
+    }
+    
+    purgeResultCharts() {
+        if (typeof Plotly === 'undefined') {
+            return;
+        }
+        
+        document.querySelectorAll('.results-chart').forEach(element => Plotly.purge(element));
+    }
+    
+    highlightArtifacts(ids) {
+        if (this.chartHighlight) {
+            this.map.removeLayer(this.chartHighlight);
+            clearTimeout(this.chartHighlight.timer);
+        }
+        
+        const bounds = ids
+            .map(id => this.findArtifact(id))
+            .filter(Boolean)
+            .map(artifact => this.getArtifactBounds(artifact))
+            .filter(Boolean);
+        
+        if (!bounds.length) {
+            this.showNotification('The selected artifacts have no position on the map', 'warning');
+            return;
+        }
+        
+        this.chartHighlight = L.featureGroup(bounds.map(box => L.rectangle(box.pad(0.3), {
+            color: '#00e5ff',
+            weight: 3,
+            fill: false,
+            className: 'artifact-highlight',
+            interactive: false
+        }))).addTo(this.map);
+        
+        const combined = bounds.reduce((all, box) => all.extend(box), L.latLngBounds(bounds[0].getSouthWest(), bounds[0].getNorthEast()));
+        this.map.fitBounds(combined.pad(ids.length === 1 ? 2 : 0.2), { maxZoom: 20 });
+        
+        // The outline fades out so it does not clutter later work
+        const highlight = this.chartHighlight;
+        highlight.timer = setTimeout(() => {
+            this.map.removeLayer(highlight);
+            if (this.chartHighlight === highlight) {
+                this.chartHighlight = null;
+            }
+        }, 8000);
+        
+        this.showNotification(`Highlighted ${bounds.length} artifact${bounds.length === 1 ? '' : 's'} on the map`, 'info');
+    }
+    
+    // Export Methods
+    hasExportableResults() {
+        return Boolean(this.processingResults.segmentation || this.processingResults.detection);
+    }
+
+    getImagePixelSize() {
+        // Downsampled previews (e.g. GeoTIFF) keep the source raster's pixel grid,
+        // including after control points replace the GeoTIFF's own georeference
+        const georeference = this.currentImage?.georeference;
+        if ((georeference?.source === 'geotiff' || georeference?.source === 'gcp') && georeference.width) {
+            return { width: georeference.width, height: georeference.height };
+        }
+        
+        if (this.imageSize) {
+            return this.imageSize;
+        }
+        
+        // Fall back to the size reported by the segmentation step (e.g. "1920x1080")
+        const reported = this.processingResults.segmentation?.image_size;
+        const match = typeof reported === 'string' ? reported.match(/^(\d+)\s*x\s*(\d+)$/i) : null;
+        if (match) {
+            return { width: parseInt(match[1], 10), height: parseInt(match[2], 10) };
+        }
+        
+        return null;
+    }
+
+    pixelToLatLng(x, y) {
+        // A ground-control-point fit maps pixels to coordinates directly
+        const transform = this.currentImage?.georeference?.transform;
+        if (transform) {
+            return this.applyAffineTransform(transform, x, y);
+        }
+        
+        const size = this.getImagePixelSize();
+        if (!this.imageBounds || !size) {
+            return null;
+        }
+        
+        // Image rows run north to south, columns west to east
+        const [[south, west], [north, east]] = this.imageBounds;
+        const lat = north - (y / size.height) * (north - south);
+        const lng = west + (x / size.width) * (east - west);
+        return [lat, lng];
+    }
+
+    buildGeoJSON() {
+        const seg = this.processingResults.segmentation;
+        const det = this.processingResults.detection;
+        const features = [];
+        
+        // Image footprint
+        if (this.imageBounds) {
+            const [[south, west], [north, east]] = this.imageBounds;
+            features.push({
+                type: 'Feature',
+                geometry: {
+                    type: 'Polygon',
+                    coordinates: [[
+                        [west, south], [east, south], [east, north], [west, north], [west, south]
+                    ]]
+                },
+                properties: {
+                    feature_type: 'image_footprint',
+                    image_name: this.currentImage?.original_name || null,
+                    image_size: this.currentImage?.image_size || null,
+                    upload_timestamp: this.currentImage?.upload_timestamp || null
+                }
+            });
+        }
+        
+        // Detected artifacts
+        det?.artifacts?.forEach((artifact, index) => {
+            const geometry = this.artifactToGeometry(artifact);
+            if (!geometry) {
+                return;
+            }
+            
+            features.push({
+                type: 'Feature',
+                id: artifact.id ?? index + 1,
+                geometry: geometry,
+                properties: {
+                    feature_type: 'artifact',
+                    id: artifact.id ?? index + 1,
+                    type: artifact.type || 'Unknown',
+                    confidence: artifact.confidence ?? null,
+                    source: artifact.source || 'detector',
+                    notes: artifact.notes || null,
+                    review_status: this.getReviewStatus(artifact),
+                    original_type: artifact.review?.original_type || null,
+                    area_px: artifact.area ?? null,
+                    area_m2: this.getArtifactAreaSqm(artifact),
+                    bbox_px: artifact.bbox || null,
+                    center_px: artifact.center || null
+                }
+            });
+        });
+        
+        return {
+            type: 'FeatureCollection',
+            name: this.getExportBaseName(),
+            properties: {
+                generator: 'ArchaeoAI Mapper',
+                exported_at: new Date().toISOString(),
+                image_name: this.currentImage?.original_name || null,
+                processing_mode: this.isOnline ? 'Online' : 'Offline',
+                segmentation: seg ? {
+                    ruins_percentage: seg.ruins_percentage ?? null,
+                    vegetation_percentage: seg.vegetation_percentage ?? null,
+                    water_percentage: seg.water_percentage ?? null,
+                    pixels_analyzed: seg.pixels_analyzed ?? null,
+                    image_size: seg.image_size ?? null
+                } : null,
+                artifact_count: det?.total_detected ?? det?.artifacts?.length ?? 0
+            },
+            features: features
+        };
+    }
+
+    artifactToGeometry(artifact) {
+        if (artifact.geometry) {
+            return artifact.geometry;
+        }
+        
+        const corners = this.getArtifactCorners(artifact);
+        if (corners) {
+            // GeoJSON rings are closed and counter-clockwise; pixel order is clockwise on the map
+            const ring = [...corners].reverse().map(([lat, lng]) => [lng, lat]);
+            ring.push(ring[0]);
+            return { type: 'Polygon', coordinates: [ring] };
+        }
+        
+        const center = this.getArtifactCenter(artifact);
+        if (center) {
+            return { type: 'Point', coordinates: [center[1], center[0]] };
+        }
+        
+        return null;
+    }
+
+    exportGeoJSON() {
+        if (!this.hasExportableResults()) {
+            this.showNotification('No analysis results to export yet', 'warning');
+            return;
+        }
+        
+        try {
+            const collection = this.buildGeoJSON();
+            this.downloadFile(
+                JSON.stringify(collection, null, 2),
+                `${this.getExportBaseName()}.geojson`,
+                'application/geo+json'
+            );
+            this.showNotification(`Exported ${collection.features.length} features to GeoJSON`, 'success');
+        } catch (error) {
+            console.error('GeoJSON export failed:', error);
+            this.showNotification('GeoJSON export failed: ' + error.message, 'error');
+        }
+    }
+
+    escapeCSV(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+
+        let text = Array.isArray(value) ? value.join(' ') : String(value);
+
+        // Spreadsheets run cells starting with these as formulas; plain numbers are left alone
+        if (/^[=+\-@\t\r]/.test(text) && !/^[-+]?\d+(\.\d+)?([eE][-+]?\d+)?$/.test(text)) {
+            text = `'${text}`;
+        }
+
+        if (/[",\r\n]/.test(text) || /^\s|\s$/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    toCSV(header, rows) {
+        return [header, ...rows]
+            .map(row => row.map(value => this.escapeCSV(value)).join(','))
+            .join('\r\n');
+    }
+
+    buildArtifactCSV() {
+        const artifacts = this.processingResults.detection?.artifacts || [];
+        const imageName = this.currentImage?.original_name || 'Unknown';
+        const mode = this.isOnline ? 'Online' : 'Offline';
+        const timestamp = this.processingResults.statistics?.timestamp || new Date().toISOString();
+
+        const header = [
+            'id', 'type', 'confidence', 'area_px', 'area_m2',
+            'bbox_x', 'bbox_y', 'bbox_width', 'bbox_height',
+            'center_x', 'center_y', 'latitude', 'longitude',
+            'source', 'notes', 'review_status', 'original_type',
+            'source_image', 'processing_mode', 'timestamp'
+        ];
+
+        const rows = artifacts.map((artifact, index) => {
+            const bbox = Array.isArray(artifact.bbox) ? artifact.bbox : [];
+            const center = Array.isArray(artifact.center) ? artifact.center : [];
+            const position = this.getArtifactCenter(artifact);
+            const areaSqm = this.getArtifactAreaSqm(artifact);
+            
+            return [
+                artifact.id ?? index + 1,
+                artifact.type || 'Unknown',
+                artifact.confidence ?? '',
+                artifact.area ?? '',
+                areaSqm !== null ? areaSqm.toFixed(3) : '',
+                bbox[0], bbox[1], bbox[2], bbox[3],
+                center[0], center[1],
+                position ? position[0].toFixed(7) : '',
+                position ? position[1].toFixed(7) : '',
+                artifact.source || 'detector',
+                artifact.notes || '',
+                this.getReviewStatus(artifact),
+                artifact.review?.original_type || '',
+                imageName,
+                mode,
+                timestamp
+            ];
+        });
+
+        return this.toCSV(header, rows);
+    }
+
+    buildSegmentationCSV() {
+        const seg = this.processingResults.segmentation;
+        const header = ['class', 'percentage', 'source_image', 'pixels_analyzed', 'image_size'];
+        const imageName = this.currentImage?.original_name || 'Unknown';
+
+        const rows = [
+            ['ruins', seg.ruins_percentage],
+            ['vegetation', seg.vegetation_percentage],
+            ['water', seg.water_percentage]
+        ].map(([name, value]) => [name, value ?? 0, imageName, seg.pixels_analyzed ?? '', seg.image_size ?? '']);
+
+        return this.toCSV(header, rows);
+    }
+
+    exportCSV() {
+        if (!this.hasExportableResults()) {
+            this.showNotification('No analysis results to export yet', 'warning');
+            return;
+        }
+
+        try {
+            const baseName = this.getExportBaseName();
+            // BOM so spreadsheet apps pick up UTF-8 artifact names correctly
+            const bom = '\uFEFF';
+            let fileCount = 0;
+
+            if (this.processingResults.detection) {
+                this.downloadFile(bom + this.buildArtifactCSV(), `${baseName}_artifacts.csv`, 'text/csv;charset=utf-8');
+                fileCount++;
+            }
+
+            if (this.processingResults.segmentation) {
+                this.downloadFile(bom + this.buildSegmentationCSV(), `${baseName}_segmentation.csv`, 'text/csv;charset=utf-8');
+                fileCount++;
+            }
+
+            this.showNotification(`Exported ${fileCount} CSV file${fileCount === 1 ? '' : 's'}`, 'success');
+        } catch (error) {
+            console.error('CSV export failed:', error);
+            this.showNotification('CSV export failed: ' + error.message, 'error');
+        }
+    }
+
+    async exportPDF() {
+        if (!this.hasExportableResults()) {
+            this.showNotification('No analysis results to export yet', 'warning');
+            return;
+        }
+
+        if (!window.jspdf?.jsPDF) {
+            this.showNotification('PDF library failed to load', 'error');
+            return;
+        }
+
+        this.showNotification('Generating PDF report...', 'info');
+
+        try {
+            const doc = await this.buildPDFReport();
+            doc.save(`${this.getExportBaseName()}_report.pdf`);
+            this.showNotification('PDF report generated', 'success');
+        } catch (error) {
+            console.error('PDF export failed:', error);
+            this.showNotification('PDF export failed: ' + error.message, 'error');
+        }
+    }
+
+    async buildPDFReport() {
+        const { jsPDF } = window.jspdf;
+        const doc = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+        const pageWidth = doc.internal.pageSize.getWidth();
+        const margin = 15;
+        const contentWidth = pageWidth - margin * 2;
+        const seg = this.processingResults.segmentation;
+        const det = this.processingResults.detection;
+        const stats = this.processingResults.statistics || this.buildCombinedStatistics();
+        let y = margin;
+
+        // Title
+        doc.setFontSize(18);
+        doc.setTextColor(44, 62, 80);
+        doc.text('ArchaeoAI Site Analysis Report', margin, y + 5);
+        doc.setFontSize(10);
+        doc.setTextColor(120);
+        doc.text(`Generated ${new Date().toLocaleString()}`, margin, y + 11);
+        doc.setDrawColor(255, 153, 0);
+        doc.setLineWidth(0.8);
+        doc.line(margin, y + 14, pageWidth - margin, y + 14);
+        y += 22;
+
+        // Map snapshot
+        const snapshot = await this.renderMapSnapshot();
+        if (snapshot) {
+            const imageHeight = contentWidth * (snapshot.height / snapshot.width);
+            doc.addImage(snapshot.dataUrl, 'JPEG', margin, y, contentWidth, imageHeight);
+            y += imageHeight + 4;
+            doc.setFontSize(8);
+            doc.setTextColor(120);
+            const printScale = snapshot.metersPerPixel
+                ? ` · Scale 1:${Number((snapshot.metersPerPixel * snapshot.width / (contentWidth / 1000)).toPrecision(3)).toLocaleString()} as printed`
+                : '';
+            doc.text(`Map snapshot with image overlay and detected artifacts${printScale}`, margin, y);
+            y += 8;
+        }
+
+        // Combined statistics
+        doc.setTextColor(0);
+        doc.autoTable({
+            startY: y,
+            margin: { left: margin, right: margin },
+            head: [['Summary', 'Value']],
+            body: [
+                ['Ruins coverage', this.formatPercentage(stats.ruins_coverage)],
+                ['Vegetation coverage', this.formatPercentage(stats.vegetation_coverage)],
+                ['Water coverage', this.formatPercentage(stats.water_coverage)],
+                ['Artifacts detected', String(stats.artifact_count || 0)],
+                ['Summary', stats.summary]
+            ],
+            headStyles: { fillColor: [44, 62, 80] },
+            theme: 'grid'
+        });
+
+        // Segmentation breakdown
+        if (seg) {
+            doc.autoTable({
+                startY: doc.lastAutoTable.finalY + 8,
+                margin: { left: margin, right: margin },
+                head: [['Land Cover Class', 'Percentage']],
+                body: [
+                    ['Ancient ruins', this.formatPercentage(seg.ruins_percentage)],
+                    ['Vegetation', this.formatPercentage(seg.vegetation_percentage)],
+                    ['Water bodies', this.formatPercentage(seg.water_percentage)],
+                    ['Pixels analyzed', (seg.pixels_analyzed || 0).toLocaleString()]
+                ],
+                headStyles: { fillColor: [255, 120, 0] },
+                theme: 'grid'
+            });
+        }
+
+        // Artifact table
+        if (det?.artifacts?.length) {
+            doc.autoTable({
+                startY: doc.lastAutoTable.finalY + 8,
+                margin: { left: margin, right: margin },
+                head: [['ID', 'Type', 'Confidence', 'Review', 'Area (px)', 'Area (m²)', 'BBox (x, y, w, h)', 'Lat / Lng']],
+                body: det.artifacts.map((artifact, index) => {
+                    const position = this.getArtifactCenter(artifact);
+                    const areaSqm = this.getArtifactAreaSqm(artifact);
+                    return [
+                        artifact.id ?? index + 1,
+                        artifact.type || 'Unknown',
+                        this.formatConfidence(artifact),
+                        artifact.review?.original_type
+                            ? `${this.getReviewStatus(artifact)} (was ${artifact.review.original_type})`
+                            : this.getReviewStatus(artifact),
+                        artifact.area != null ? Number(artifact.area).toFixed(0) : '',
+                        areaSqm !== null ? areaSqm.toFixed(2) : '',
+                        Array.isArray(artifact.bbox) ? artifact.bbox.join(', ') : '',
+                        position ? `${position[0].toFixed(6)}, ${position[1].toFixed(6)}` : ''
+                    ];
+                }),
+                headStyles: { fillColor: [243, 156, 18] },
+                styles: { fontSize: 8 },
+                theme: 'striped'
+            });
+        }
+
+        // Processing metadata
+        const metadata = [
+            ['Image name', stats.image_name],
+            ['Image size', this.currentImage?.image_size || 'Unknown'],
+            ['Uploaded', this.currentImage?.upload_timestamp ? new Date(this.currentImage.upload_timestamp).toLocaleString() : 'Unknown'],
+            ['Analysed', new Date(stats.timestamp).toLocaleString()],
+            ['Processing mode', stats.processing_mode],
+            ['Backend', this.isOnline ? this.baseUrl : 'Not used (offline)']
+        ];
+        if (this.imageBounds) {
+            const [[south, west], [north, east]] = this.imageBounds;
+            metadata.push(['Image bounds (S, W, N, E)', [south, west, north, east].map(v => v.toFixed(6)).join(', ')]);
+        }
+        doc.autoTable({
+            startY: doc.lastAutoTable.finalY + 8,
+            margin: { left: margin, right: margin },
+            head: [['Processing Metadata', '']],
+            body: metadata,
+            headStyles: { fillColor: [39, 174, 96] },
+            theme: 'grid'
+        });
+
+        // Page footers
+        const pageCount = doc.getNumberOfPages();
+        for (let page = 1; page <= pageCount; page++) {
+            doc.setPage(page);
+            doc.setFontSize(8);
+            doc.setTextColor(150);
+            doc.text(
+                `ArchaeoAI Mapper - ${stats.image_name} - Page ${page} of ${pageCount}`,
+                pageWidth / 2,
+                doc.internal.pageSize.getHeight() - 8,
+                { align: 'center' }
+            );
+        }
+
+        return doc;
+    }
+
+    loadImageElement(src) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.crossOrigin = 'anonymous';
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error(`Failed to load ${src}`));
+            image.src = src;
+        });
+    }
+
+    async renderMapSnapshot() {
+        // Redraw the current map view onto a canvas the PDF can embed
+        const size = this.map.getSize();
+        const zoom = this.map.getZoom();
+        const pixelBounds = this.map.getPixelBounds();
+        const origin = pixelBounds.min;
+        const canvas = document.createElement('canvas');
+        canvas.width = size.x;
+        canvas.height = size.y;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#203a43';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        const toCanvas = (latLng) => this.map.project(latLng, zoom).subtract(origin);
+
+        // Base map tiles
+        if (this.baseLayer && this.map.hasLayer(this.baseLayer)) {
+            const tileSize = this.baseLayer.getTileSize();
+            const minTile = pixelBounds.min.unscaleBy(tileSize).floor();
+            const maxTile = pixelBounds.max.unscaleBy(tileSize).floor();
+            const tiles = [];
+
+            for (let x = minTile.x; x <= maxTile.x; x++) {
+                for (let tileY = minTile.y; tileY <= maxTile.y; tileY++) {
+                    const coords = L.point(x, tileY);
+                    coords.z = zoom;
+                    const url = this.baseLayer.getTileUrl(coords);
+                    tiles.push(this.loadImageElement(url)
+                        .then(image => ctx.drawImage(
+                            image,
+                            x * tileSize.x - origin.x,
+                            tileY * tileSize.y - origin.y,
+                            tileSize.x,
+                            tileSize.y
+                        ))
+                        .catch(() => null));
+                }
+            }
+            await Promise.all(tiles);
+        }
+
+        // Image overlay
+        if (this.imageOverlay && this.imageBounds && this.map.hasLayer(this.imageOverlay)) {
+            try {
+                const image = await this.loadImageElement(this.imageOverlay._url);
+                const topLeft = toCanvas(L.latLng(this.imageBounds[1][0], this.imageBounds[0][1]));
+                const bottomRight = toCanvas(L.latLng(this.imageBounds[0][0], this.imageBounds[1][1]));
+                ctx.globalAlpha = this.imageOverlay.options.opacity ?? 1;
+                ctx.drawImage(image, topLeft.x, topLeft.y, bottomRight.x - topLeft.x, bottomRight.y - topLeft.y);
+                ctx.globalAlpha = 1;
+            } catch (error) {
+                console.warn('Image overlay not included in snapshot:', error.message);
+            }
+        }
+
+        // Artifact markers and annotations
+        [this.artifactsLayer, this.annotationsLayer]
+            .filter(group => group && this.map.hasLayer(group))
+            .forEach(group => group.eachLayer(layer => {
+                const style = layer.options || {};
+                ctx.strokeStyle = style.color || '#ff9900';
+                ctx.fillStyle = style.fillColor || style.color || '#ffcc00';
+                ctx.lineWidth = style.weight || 2;
+                
+                if (layer instanceof L.CircleMarker || layer instanceof L.Marker) {
+                    const point = toCanvas(layer.getLatLng());
+                    ctx.beginPath();
+                    ctx.arc(point.x, point.y, layer.getRadius ? layer.getRadius() : 6, 0, Math.PI * 2);
+                    ctx.globalAlpha = style.fillOpacity ?? 0.7;
+                    ctx.fill();
+                    ctx.globalAlpha = 1;
+                    ctx.stroke();
+                } else if (layer instanceof L.Polyline) {
+                    // Polygons (and rectangles) are closed polylines
+                    const closed = layer instanceof L.Polygon;
+                    const latLngs = closed ? layer.getLatLngs()[0] : layer.getLatLngs();
+                    const points = latLngs.map(toCanvas);
+                    ctx.beginPath();
+                    points.forEach((point, i) => i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y));
+                    if (closed) {
+                        ctx.closePath();
+                    }
+                    ctx.stroke();
+                }
+            }));
+        
+        // The bar is drawn into the image so it stays true however the snapshot is resized
+        const metersPerPixel = this.getMetersPerPixel();
+        if (metersPerPixel) {
+            this.drawScaleBar(ctx, metersPerPixel, canvas.height);
+        }
+        
+        try {
+            return {
+                dataUrl: canvas.toDataURL('image/jpeg', 0.85),
+                width: canvas.width,
+                height: canvas.height,
+                metersPerPixel: metersPerPixel
+            };
+        } catch (error) {
+            // A tile or overlay served without CORS headers taints the canvas
+            console.warn('Map snapshot unavailable:', error.message);
+            return null;
+        }
+    }
 
-        // Remove placeholder if present
-        const placeholder = container.querySelector(".text-center");
-        if (placeholder) {
-            placeholder.remove();
+    getExportBaseName() {
+        const imageName = (this.currentImage?.original_name || 'site')
+            .replace(/\.[^.]+$/, '')
+            .replace(/[^a-z0-9_-]+/gi, '_');
+        const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+        return `archaeoai_${imageName}_${stamp}`;
+    }
+
+    downloadFile(content, filename, mimeType) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // File Selection & Batch Queue Methods
+    handleSelectedFiles(fileList) {
+        const files = Array.from(fileList || []).filter(file => /\.(jpe?g|png|tiff?|hei[cf])$/i.test(file.name));
+        
+        if (!files.length) {
+            if (fileList?.length) {
+                this.showNotification('Unsupported file type. Use JPG, PNG, TIFF or HEIC.', 'warning');
+            }
+            return;
+        }
+        
+        if (files.length === 1) {
+            this.selectFile(files[0]);
+        } else {
+            this.addToBatchQueue(files);
         }
+    }
 
-        let resultHtml = "";
+    selectFile(file) {
+        const fileUploadArea = document.getElementById('fileUploadArea');
+        const uploadBtn = document.getElementById('uploadBtn');
+        this.selectedFile = file;
         
-        if (type === "segmentation") {
-            resultHtml = `
-                <div class="result-item info">
-                    <div class="d-flex justify-content-between align-items-center mb-2">
-                        <h6 class="mb-0"><i class="fas fa-mountain"></i> Site Segmentation</h6>
-                        <span class="badge bg-primary">${new Date().toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</span>
-                    </div>
-                    <div class="mt-2">
-                        <div class="d-flex justify-content-between mb-2">
-                            <span><i class="fas fa-landmark text-warning me-2"></i>Ruins:</span>
-                            <span class="fw-bold text-warning">${data.ruins_percentage?.toFixed(2) || 0}%</span>
-                        </div>
-                        <div class="d-flex justify-content-between mb-2">
-                            <span><i class="fas fa-leaf text-success me-2"></i>Vegetation:</span>
-                            <span class="fw-bold text-success">${data.vegetation_percentage?.toFixed(2) || 0}%</span>
-                        </div>
-                        <div class="d-flex justify-content-between mb-2">
-                            <span><i class="fas fa-water text-info me-2"></i>Water:</span>
-                            <span class="fw-bold text-info">${data.water_percentage?.toFixed(2) || 0}%</span>
-                        </div>
-                        <div class="d-flex justify-content-between mb-3">
-                            <span><i class="fas fa-chart-bar me-2"></i>Pixels Analyzed:</span>
-                            <span>${(data.pixels_analyzed || 0).toLocaleString()}</span>
-                        </div>
-                        <button class="btn btn-sm btn-outline-light w-100" onclick="window.app.viewResults('segmentation')">
-                            <i class="fas fa-chart-line me-2"></i> View Details
-                        </button>
-                    </div>
+        // Update UI
+        if (uploadBtn) {
+            uploadBtn.disabled = false;
+            uploadBtn.innerHTML = `
+                <i class="fas fa-cloud-upload-alt me-2"></i> 
+                Upload "${file.name.length > 20 ? file.name.substring(0, 20) + '...' : file.name}"
+            `;
+        }
+        
+        // Update upload area
+        if (fileUploadArea) {
+            fileUploadArea.innerHTML = `
+                <div class="text-center">
+                    <i class="fas fa-file-image fa-3x mb-3 text-success"></i>
+                    <p class="mb-1 fw-bold" style="font-size: 0.9rem;">
+                        ${file.name.length > 25 ? file.name.substring(0, 25) + '...' : file.name}
+                    </p>
+                    <small class="text-light" style="opacity: 0.6;">
+                        ${(file.size / (1024 * 1024)).toFixed(2)} MB
+                    </small>
                 </div>
             `;
-        } else if (type === "detection") {
-            const artifactCount = data.total_detected || 0;
+        }
+        
+        this.showNotification(`File selected: ${file.name}`, 'success');
+    }
+
+    addToBatchQueue(files) {
+        files.forEach(file => {
+            this.batch.items.push({
+                id: this.batch.nextId++,
+                file: file,
+                status: 'queued',
+                error: null,
+                attempts: 0,
+                results: null,
+                projectId: null
+            });
+        });
+        
+        this.showNotification(`${files.length} images added to the batch queue`, 'success');
+        this.renderBatchQueue();
+    }
+
+    toggleBatchQueue() {
+        this.batch.paused = !this.batch.paused;
+        
+        if (!this.batch.paused) {
+            this.pumpBatchQueue();
+        }
+        
+        this.renderBatchQueue();
+    }
+
+    retryBatchItems(id = null) {
+        this.batch.items
+            .filter(item => item.status === 'failed' && (id === null || item.id === id))
+            .forEach(item => {
+                item.status = 'queued';
+                item.error = null;
+                item.attempts = 0;
+            });
+        
+        this.pumpBatchQueue();
+        this.renderBatchQueue();
+    }
+
+    clearFinishedBatchItems() {
+        this.batch.items = this.batch.items.filter(item => item.status !== 'done' && item.status !== 'failed');
+        this.renderBatchQueue();
+    }
+
+    pumpBatchQueue() {
+        if (this.batch.paused) {
+            return;
+        }
+        
+        while (this.batch.running < this.batch.concurrency) {
+            const item = this.batch.items.find(entry => entry.status === 'queued');
+            if (!item) {
+                break;
+            }
             
-            resultHtml = `
-                <div class="result-item success">
-                    <div class="d-flex justify-content-between align-items-center mb-2">
-                        <h6 class="mb-0"><i class="fas fa-search"></i> Artifact Detection</h6>
-                        <span class="badge bg-warning">${new Date().toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</span>
-                    </div>
-                    <div class="mt-2">
-                        <div class="d-flex justify-content-between align-items-center mb-3">
-                            <div>
-                                <div class="small">Total Artifacts</div>
-                                <div class="fw-bold text-warning" style="font-size: 1.5rem;">${artifactCount}</div>
-                            </div>
-                            <div class="text-end">
-                                <div class="small">Mode</div>
-                                <div class="fw-bold">${this.isOnline ? 'Online' : 'Offline'}</div>
-                            </div>
-                        </div>
-                        <div class="mb-3">
-                            <div class="small mb-2">Detected Types:</div>
-                            <div class="d-flex flex-wrap gap-2">
-                                ${data.artifacts?.slice(0, 3).map(artifact => `
-                                    <span class="badge" style="background-color: #f39c12;">
-                                        ${artifact.type || 'Unknown'}
-                                    </span>
-                                `).join('')}
-                            </div>
-                            ${data.artifacts?.length > 3 ? 
-                                `<div class="text-center small mt-2">...and ${data.artifacts?.length - 3} more</div>` : ''}
-                        </div>
-                        <button class="btn btn-sm btn-outline-light w-100" onclick="window.app.viewResults('detection')">
-                            <i class="fas fa-list me-2"></i> View Artifacts List
-                        </button>
+            this.batch.running++;
+            this.processBatchItem(item).finally(() => {
+                this.batch.running--;
+                this.renderBatchQueue();
+                this.pumpBatchQueue();
+            });
+        }
+        
+        // Stop once everything has finished so newly added files wait for Start
+        if (this.batch.running === 0 && !this.batch.items.some(item => item.status === 'queued')) {
+            this.batch.paused = true;
+            this.renderBatchQueue();
+        }
+    }
+
+    setBatchItemStatus(item, status) {
+        item.status = status;
+        this.renderBatchQueue();
+    }
+
+    async processBatchItem(item) {
+        const file = item.file;
+        let previewUrl = null;
+        let ownsPreviewUrl = false;
+        item.attempts++;
+        
+        try {
+            this.setBatchItemStatus(item, 'preparing');
+            const georeference = await this.resolveImageGeoreference(file, { interactive: false });
+            
+            // A locally decoded copy gives the thumbnail and the offline pixels
+            previewUrl = georeference?.preview_url || null;
+            if (!previewUrl) {
+                previewUrl = URL.createObjectURL(file);
+                ownsPreviewUrl = true;
+            }
+            const element = await this.loadImageElement(previewUrl).catch(() => null);
+            const sourceSize = georeference?.width
+                ? { width: georeference.width, height: georeference.height }
+                : element ? { width: element.naturalWidth, height: element.naturalHeight } : null;
+            
+            let segmentation;
+            let detection;
+            let upload = null;
+            const online = this.isOnline;
+            
+            if (online) {
+                const prepared = await this.preprocessForUpload(file, georeference);
+                
+                this.setBatchItemStatus(item, 'uploading');
+                upload = await this.postUpload(prepared.file, null, null, file);
+                const tiles = prepared.tiles ? await this.uploadTiles(prepared.tiles) : null;
+                const preprocessing = this.describePreprocessing(prepared, tiles);
+                
+                this.setBatchItemStatus(item, 'segmenting');
+                segmentation = await this.postAnalysis(this.endpoints.segment, upload.filename, 'Segmentation');
+                
+                this.setBatchItemStatus(item, 'detecting');
+                detection = await this.postDetection(upload.filename, preprocessing);
+            } else {
+                if (!element) {
+                    throw new Error('Image could not be decoded for offline analysis');
+                }
+                
+                this.setBatchItemStatus(item, 'segmenting');
+                segmentation = await this.analyzeSegmentationOffline(element, sourceSize);
+                
+                this.setBatchItemStatus(item, 'detecting');
+                detection = await this.analyzeDetectionOffline(element, sourceSize);
+            }
+            
+            const statistics = {
+                ...this.buildCombinedStatistics(segmentation, detection, file.name),
+                processing_mode: online ? 'Online' : 'Offline'
+            };
+            item.results = { segmentation, detection, statistics };
+            
+            // Every finished frame becomes a history project that can be reopened
+            const { preview_url: _previewUrl, ...storedGeoreference } = georeference || {};
+            const now = new Date().toISOString();
+            const previewBlob = georeference?.preview_url
+                ? await fetch(georeference.preview_url).then(response => response.blob()).catch(() => null)
+                : null;
+            
+            item.projectId = await this.putProjectRecord({
+                ...(item.projectId ? { id: item.projectId } : {}),
+                name: file.name,
+                image_name: file.name,
+                image_size: `${(file.size / (1024 * 1024)).toFixed(2)} MB`,
+                image_blob: file,
+                preview_blob: previewBlob,
+                thumbnail: this.createThumbnail(element),
+                filename: upload?.filename || file.name,
+                server_data: upload,
+                georeference: georeference ? storedGeoreference : null,
+                bounds: georeference?.bounds || null,
+                segmentation: segmentation,
+                detection: detection,
+                statistics: statistics,
+                processing_mode: statistics.processing_mode,
+                upload_timestamp: upload?.upload_timestamp || now,
+                created_at: now,
+                updated_at: now
+            }).catch(error => {
+                console.warn('Could not save batch result to history:', error.message);
+                return null;
+            });
+            
+            if (georeference?.preview_url) {
+                URL.revokeObjectURL(georeference.preview_url);
+            }
+            
+            this.setBatchItemStatus(item, 'done');
+        } catch (error) {
+            console.error(`Batch processing failed for ${file.name}:`, error);
+            item.error = error.message;
+            
+            // Transient failures go back into the queue until attempts run out
+            this.setBatchItemStatus(item, item.attempts < this.batch.maxAttempts ? 'queued' : 'failed');
+        } finally {
+            if (ownsPreviewUrl && previewUrl) {
+                URL.revokeObjectURL(previewUrl);
+            }
+        }
+    }
+
+    getBatchSummary() {
+        const done = this.batch.items.filter(item => item.status === 'done' && item.results);
+        const typeCounts = {};
+        let artifacts = 0;
+        let ruins = 0;
+        let vegetation = 0;
+        let water = 0;
+        
+        done.forEach(item => {
+            const { segmentation, detection } = item.results;
+            artifacts += detection?.total_detected || 0;
+            ruins += Number(segmentation?.ruins_percentage || 0);
+            vegetation += Number(segmentation?.vegetation_percentage || 0);
+            water += Number(segmentation?.water_percentage || 0);
+            detection?.artifacts?.forEach(artifact => {
+                const type = artifact.type || 'Unknown';
+                typeCounts[type] = (typeCounts[type] || 0) + 1;
+            });
+        });
+        
+        const count = done.length || 1;
+        return {
+            images: done.length,
+            artifacts: artifacts,
+            mean_ruins: ruins / count,
+            mean_vegetation: vegetation / count,
+            mean_water: water / count,
+            types: typeCounts
+        };
+    }
+
+    renderBatchQueue() {
+        const card = document.getElementById('batchQueueCard');
+        const list = document.getElementById('batchQueueList');
+        const summary = document.getElementById('batchSummary');
+        const toggleBtn = document.getElementById('batchToggleBtn');
+        const progressBar = card?.querySelector('.progress-bar');
+        
+        if (!card || !list) {
+            return;
+        }
+        
+        const items = this.batch.items;
+        card.style.display = items.length ? 'block' : 'none';
+        
+        const statusStyles = {
+            queued: ['bg-secondary', 'Queued'],
+            preparing: ['bg-info', 'Preparing'],
+            uploading: ['bg-info', 'Uploading'],
+            segmenting: ['bg-primary', 'Segmenting'],
+            detecting: ['bg-primary', 'Detecting'],
+            done: ['bg-success', 'Done'],
+            failed: ['bg-danger', 'Failed']
+        };
+        
+        list.innerHTML = items.map(item => {
+            const [badgeClass, label] = statusStyles[item.status];
+            const retrying = item.status === 'queued' && item.error;
+            
+            return `
+                <div class="batch-item" data-id="${item.id}">
+                    <div class="batch-item-name" title="${this.escapeHTML(item.error || item.file.name)}">
+                        ${this.escapeHTML(item.file.name)}
                     </div>
+                    <span class="badge ${badgeClass}">${retrying ? `Retry ${item.attempts}/${this.batch.maxAttempts - 1}` : label}</span>
+                    ${item.status === 'failed'
+                        ? '<button class="btn btn-sm btn-link text-warning p-0 ms-2" data-action="retry" title="Retry"><i class="fas fa-redo"></i></button>'
+                        : ''}
+                    ${item.status === 'done' && item.projectId
+                        ? '<button class="btn btn-sm btn-link text-light p-0 ms-2" data-action="view" title="Show on map"><i class="fas fa-eye"></i></button>'
+                        : ''}
                 </div>
             `;
-        } else if (type === "combined") {
-            resultHtml = `
-                <div class="result-item warning">
-                    <div class="d-flex justify-content-between align-items-center mb-2">
-                        <h6 class="mb-0"><i class="fas fa-tasks"></i> Complete Analysis Summary</h6>
-                        <span class="badge bg-danger">${new Date().toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</span>
-                    </div>
-                    <div class="mt-2">
-                        <div class="d-flex justify-content-between mb-2">
-                            <span><i class="fas fa-landmark text-warning me-2"></i>Ruins Coverage:</span>
-                            <span class="fw-bold text-warning">${data.ruins_coverage?.toFixed(2) || 0}%</span>
-                        </div>
-                        <div class="d-flex justify-content-between mb-2">
-                            <span><i class="fas fa-search text-success me-2"></i>Artifacts Found:</span>
-                            <span class="fw-bold text-success">${data.artifact_count || 0}</span>
-                        </div>
-                        <div class="d-flex justify-content-between mb-2">
-                            <span><i class="fas fa-leaf text-info me-2"></i>Vegetation:</span>
-                            <span class="fw-bold text-info">${data.vegetation_coverage?.toFixed(2) || 0}%</span>
-                        </div>
-                        <div class="d-flex justify-content-between mb-3">
-                            <span><i class="fas fa-bolt me-2"></i>Processing Mode:</span>
-                            <span class="fw-bold">${data.processing_mode || 'Unknown'}</span>
-                        </div>
-                        <div class="alert alert-dark mb-3" style="background: rgba(255,255,255,0.1);">
-                            <small><i class="fas fa-info-circle me-2"></i>${data.summary || 'Analysis complete'}</small>
-                        </div>
-                        <button class="btn btn-sm btn-outline-light w-100" onclick="window.app.viewResults('combined')">
-                            <i class="fas fa-chart-pie me-2"></i> View Full Report
-                        </button>
-                    </div>
-                </div>
+        }).join('');
+        
+        const finished = items.filter(item => item.status === 'done' || item.status === 'failed').length;
+        if (progressBar) {
+            progressBar.style.width = `${items.length ? (finished / items.length) * 100 : 0}%`;
+        }
+        
+        if (toggleBtn) {
+            const active = !this.batch.paused;
+            toggleBtn.innerHTML = active
+                ? '<i class="fas fa-pause me-1"></i> Pause'
+                : `<i class="fas fa-play me-1"></i> ${finished || this.batch.running ? 'Resume' : 'Start'}`;
+        }
+        
+        if (summary) {
+            const totals = this.getBatchSummary();
+            const failed = items.filter(item => item.status === 'failed').length;
+            const topTypes = Object.entries(totals.types)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 3)
+                .map(([type, count]) => `${this.escapeHTML(type)} (${count})`)
+                .join(', ');
+            
+            summary.innerHTML = `
+                <div class="d-flex justify-content-between"><span>Processed</span><span class="fw-bold">${totals.images}/${items.length}${failed ? ` · ${failed} failed` : ''}</span></div>
+                <div class="d-flex justify-content-between"><span>Total artifacts</span><span class="fw-bold text-warning">${totals.artifacts}</span></div>
+                <div class="d-flex justify-content-between"><span>Mean ruins</span><span class="fw-bold">${totals.mean_ruins.toFixed(1)}%</span></div>
+                <div class="d-flex justify-content-between"><span>Mean vegetation / water</span><span class="fw-bold">${totals.mean_vegetation.toFixed(1)}% / ${totals.mean_water.toFixed(1)}%</span></div>
+                ${topTypes ? `<div class="small mt-1" style="opacity: 0.7;">Top types: ${topTypes}</div>` : ''}
             `;
         }
+    }
 
-        if (resultHtml) {
-            container.insertAdjacentHTML("afterbegin", resultHtml);
+    // Project History Methods
+    openHistoryDB() {
+        if (this.historyDB) {
+            return Promise.resolve(this.historyDB);
         }
+        
+        if (!window.indexedDB) {
+            return Promise.reject(new Error('IndexedDB is not available'));
+        }
+        
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open('archaeoai-history', 1);
+            
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('projects')) {
+                    const store = db.createObjectStore('projects', { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('updated_at', 'updated_at');
+                }
+            };
+            
+            request.onsuccess = () => {
+                this.historyDB = request.result;
+                resolve(this.historyDB);
+            };
+            request.onerror = () => reject(request.error);
+        });
     }
 
-    // Utility Methods
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    async historyRequest(mode, operation) {
+        const db = await this.openHistoryDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('projects', mode);
+            const request = operation(transaction.objectStore('projects'));
+            let result;
+            
+            request.onsuccess = () => {
+                result = request.result;
+            };
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
     }
 
-    displaySegmentationResult(results) {
-        // Create info popup
-        const popupContent = `
-            <div style="padding: 15px; min-width: 250px;">
-                <h5 style="margin-bottom: 10px; color: #2c3e50; border-bottom: 1px solid #eee; padding-bottom: 8px;">
-                    <i class="fas fa-mountain"></i> Segmentation Results
-                </h5>
-                <div style="margin-bottom: 8px;">
-                    <strong style="color: #ff7800;">
-                        <i class="fas fa-landmark"></i> Ruins:
-                    </strong> ${results.ruins_percentage?.toFixed(2) || 0}%
-                </div>
-                <div style="margin-bottom: 8px;">
-                    <strong style="color: #27ae60;">
-                        <i class="fas fa-leaf"></i> Vegetation:
-                    </strong> ${results.vegetation_percentage?.toFixed(2) || 0}%
-                </div>
-                <div style="margin-bottom: 8px;">
-                    <strong style="color: #3498db;">
-                        <i class="fas fa-water"></i> Water:
-                    </strong> ${results.water_percentage?.toFixed(2) || 0}%
-                </div>
-            </div>
-        `;
+    saveProject() {
+        if (!this.currentImage) {
+            return Promise.resolve();
+        }
+        
+        // Serialise writes so the first save's new id is known to the next one
+        this.historySaveQueue = this.historySaveQueue
+            .then(() => this.writeProject())
+            .catch(error => {
+                console.warn('Could not save project history:', error.message);
+            });
+        
+        return this.historySaveQueue;
+    }
+
+    async writeProject() {
+        const now = new Date().toISOString();
+        const existing = this.currentProjectId
+            ? await this.historyRequest('readonly', store => store.get(this.currentProjectId))
+            : null;
+        
+        // Object URLs do not survive a reload; keep the decoded preview itself
+        const { preview_url: previewUrl, ...georeference } = this.currentImage.georeference || {};
+        let previewBlob = existing?.preview_blob || null;
+        if (previewUrl && !previewBlob) {
+            previewBlob = await fetch(previewUrl).then(response => response.blob()).catch(() => null);
+        }
+        
+        const record = {
+            ...(existing || {}),
+            name: existing?.name || this.currentImage.original_name,
+            image_name: this.currentImage.original_name,
+            image_size: this.currentImage.image_size,
+            image_blob: existing?.image_blob || this.selectedFile || null,
+            preview_blob: previewBlob,
+            thumbnail: existing?.thumbnail || this.createThumbnail(),
+            filename: this.currentImage.filename,
+            server_data: this.currentImage.server_data,
+            preprocessing: this.currentImage.preprocessing || null,
+            georeference: this.currentImage.georeference ? georeference : null,
+            bounds: this.imageBounds,
+            segmentation: this.processingResults.segmentation,
+            detection: this.processingResults.detection,
+            statistics: this.processingResults.statistics,
+            processing_mode: this.isOnline ? 'Online' : 'Offline',
+            upload_timestamp: this.currentImage.upload_timestamp,
+            created_at: existing?.created_at || now,
+            updated_at: now
+        };
+        
+        if (this.currentProjectId) {
+            record.id = this.currentProjectId;
+        }
+        
+        this.currentProjectId = await this.putProjectRecord(record);
+    }
+
+    putProjectRecord(record) {
+        return this.historyRequest('readwrite', store => store.put(record));
+    }
+
+    createThumbnail(element = this.imageOverlay?.getElement(), size = 96) {
+        if (!element || !element.naturalWidth) {
+            return null;
+        }
         
-        L.popup()
-            .setLatLng([29.9765, 31.1325])
-            .setContent(popupContent)
-            .openOn(this.map);
+        try {
+            const scale = size / Math.max(element.naturalWidth, element.naturalHeight);
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(element.naturalWidth * scale);
+            canvas.height = Math.round(element.naturalHeight * scale);
+            canvas.getContext('2d').drawImage(element, 0, 0, canvas.width, canvas.height);
+            return canvas.toDataURL('image/jpeg', 0.7);
+        } catch (error) {
+            return null;
+        }
     }
 
-    displayDetectionResult(results) {
-        // Clear previous artifacts
-        if (this.artifactsLayer) {
-            this.map.removeLayer(this.artifactsLayer);
+    async listProjects() {
+        const projects = await this.historyRequest('readonly', store => store.getAll());
+        return projects.sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+    }
+
+    async renameProject(id, name) {
+        const project = await this.historyRequest('readonly', store => store.get(id));
+        if (!project) {
+            return;
         }
         
-        // Create layer for artifacts
-        this.artifactsLayer = L.layerGroup().addTo(this.map);
+        project.name = name;
+        project.updated_at = new Date().toISOString();
+        await this.historyRequest('readwrite', store => store.put(project));
+    }
+
+    async deleteProject(id) {
+        await this.historyRequest('readwrite', store => store.delete(id));
         
-        // Add markers for each artifact
-        results.artifacts?.forEach((artifact, index) => {
-            // Calculate position around center
-            const lat = 29.9765 + (Math.random() - 0.5) * 0.01;
-            const lng = 31.1325 + (Math.random() - 0.5) * 0.01;
-            
-            // Create marker
-            const marker = L.circleMarker([lat, lng], {
-                radius: Math.min(20, Math.max(8, Math.sqrt(artifact.area) / 100)),
-                color: '#ff9900',
-                fillColor: '#ffcc00',
-                fillOpacity: 0.7,
-                weight: 2,
-                className: 'artifact-marker'
-            }).addTo(this.artifactsLayer);
-            
-            // Create popup
-            const popupContent = `
-                <div style="padding: 10px; min-width: 220px;">
-                    <h6 style="margin-bottom: 8px; color: #2c3e50; border-bottom: 1px solid #eee; padding-bottom: 5px;">
-                        <i class="fas fa-search"></i> Artifact ${index + 1}
-                    </h6>
-                    <div style="margin-bottom: 5px;">
-                        <strong>Type:</strong> 
-                        <span class="badge" style="background-color: #f39c12; color: white; padding: 2px 8px; border-radius: 10px;">
-                            ${artifact.type || 'Unknown'}
-                        </span>
-                    </div>
-                    <div style="margin-bottom: 5px;">
-                        <strong>Confidence:</strong> 
-                        <span style="color: ${artifact.confidence > 0.8 ? '#27ae60' : '#f39c12'}">
-                            ${(artifact.confidence * 100)?.toFixed(1) || 0}%
-                        </span>
-                    </div>
-                    <div style="margin-bottom: 5px;">
-                        <strong>Area:</strong> ${artifact.area?.toFixed(2) || 0} pixels
-                    </div>
-                </div>
-            `;
-            
-            marker.bindPopup(popupContent);
-        });
+        if (this.currentProjectId === id) {
+            this.currentProjectId = null;
+        }
     }
 
-    clearResults() {
-        if (this.artifactsLayer) {
-            this.map.removeLayer(this.artifactsLayer);
-            this.artifactsLayer = null;
+    async openProject(id) {
+        const project = await this.historyRequest('readonly', store => store.get(id));
+        if (!project) {
+            this.showNotification('Project not found', 'error');
+            return;
         }
         
+        const imageBlob = project.preview_blob || project.image_blob;
+        if (!imageBlob) {
+            this.showNotification('This project has no stored image', 'error');
+            return;
+        }
+        
+        // Restore image state, releasing the object URLs of the image being replaced
+        [this.currentImage?.preview_url, this.currentImage?.georeference?.preview_url]
+            .filter((url, index, urls) => url?.startsWith('blob:') && urls.indexOf(url) === index)
+            .forEach(url => URL.revokeObjectURL(url));
+        
+        const previewUrl = URL.createObjectURL(imageBlob);
+        this.selectedFile = project.image_blob
+            ? new File([project.image_blob], project.image_name, { type: project.image_blob.type })
+            : null;
+        this.currentImage = {
+            filename: project.filename,
+            original_name: project.image_name,
+            image_size: project.image_size,
+            preview_url: previewUrl,
+            upload_timestamp: project.upload_timestamp,
+            georeference: project.georeference
+                ? { ...project.georeference, preview_url: project.preview_blob ? previewUrl : undefined }
+                : null,
+            server_data: project.server_data,
+            preprocessing: project.preprocessing || null,
+            source_file: this.selectedFile
+        };
+        this.currentProjectId = project.id;
+        
+        this.displayImage(previewUrl, project.bounds);
+        
+        // Restore results and their layers
         this.processingResults = {
-            segmentation: null,
-            detection: null,
-            statistics: null
+            segmentation: project.segmentation || null,
+            detection: project.detection || null,
+            statistics: project.statistics || null
         };
-
-        const container = document.getElementById("resultsContainer");
+        
+        const container = document.getElementById('resultsContainer');
         if (container) {
+            container.innerHTML = '';
+        }
+        
+        if (project.segmentation) {
+            this.displaySegmentationMask(project.segmentation);
+            this.updateResultsPanel('segmentation', project.segmentation);
+        }
+        
+        if (project.detection) {
+            this.displayDetectionResult(project.detection);
+            this.updateResultsPanel('detection', project.detection);
+        }
+        
+        if (project.statistics) {
+            this.updateResultsPanel('combined', project.statistics);
+        }
+        
+        if (container && !container.children.length) {
             container.innerHTML = `
                 <div class="text-center py-4">
                     <i class="fas fa-inbox fa-3x mb-3" style="opacity: 0.3;"></i>
@@ -1083,211 +7025,515 @@ class ArchaeologicalMapper {
                 </div>
             `;
         }
+        
+        this.updateImageInfoUI();
+        this.enableProcessingButtons(true);
+        this.showNotification(`Opened project "${project.name}"`, 'success');
+    }
 
-        // Update legend values
-        this.updateLegendValues();
-
-        this.showNotification("All results cleared", "info");
+    async showHistory() {
+        const modalElement = document.getElementById('historyModal');
+        if (!modalElement) {
+            return;
+        }
+        
+        bootstrap.Modal.getOrCreateInstance(modalElement).show();
+        await this.renderHistoryList();
     }
 
-    toggleOverlay(type) {
-        const checkbox = document.getElementById(`show${type.charAt(0).toUpperCase() + type.slice(1)}`);
-        const isVisible = checkbox?.checked || false;
+    async renderHistoryList() {
+        const list = document.getElementById('historyList');
+        const search = document.getElementById('historySearch');
+        if (!list) {
+            return;
+        }
+        
+        let projects;
+        try {
+            projects = await this.listProjects();
+        } catch (error) {
+            list.innerHTML = `<p class="text-center text-danger py-4">History unavailable: ${this.escapeHTML(error.message)}</p>`;
+            return;
+        }
+        
+        const query = (search?.value || '').trim().toLowerCase();
+        const matches = projects.filter(project =>
+            !query ||
+            project.name.toLowerCase().includes(query) ||
+            project.image_name.toLowerCase().includes(query)
+        );
+        
+        if (!matches.length) {
+            list.innerHTML = `<p class="text-center text-muted py-4">${projects.length ? 'No matching projects.' : 'No saved projects yet.'}</p>`;
+            return;
+        }
+        
+        list.innerHTML = matches.map(project => {
+            const seg = project.segmentation;
+            const det = project.detection;
+            const summary = [
+                seg ? `${this.formatPercentage(seg.ruins_percentage, 1)} ruins` : null,
+                det ? `${det.total_detected || 0} artifacts` : null
+            ].filter(Boolean).join(' · ') || 'Not analysed';
+            
+            return `
+                <div class="history-item${project.id === this.currentProjectId ? ' current' : ''}" data-id="${project.id}">
+                    ${project.thumbnail
+                        ? `<img class="history-thumb" src="${project.thumbnail}" alt="">`
+                        : '<div class="history-thumb"><i class="fas fa-image"></i></div>'}
+                    <div class="history-details">
+                        <div class="history-name fw-bold">${this.escapeHTML(project.name)}</div>
+                        <small class="d-block text-muted">${this.escapeHTML(project.image_name)} · ${project.image_size || ''}</small>
+                        <small class="d-block text-muted">${summary} · ${new Date(project.updated_at).toLocaleString()}</small>
+                    </div>
+                    <div class="history-actions">
+                        <button class="btn btn-sm btn-primary" data-action="open" title="Open"><i class="fas fa-folder-open"></i></button>
+                        <button class="btn btn-sm btn-secondary" data-action="rename" title="Rename"><i class="fas fa-pen"></i></button>
+                        <button class="btn btn-sm btn-danger" data-action="delete" title="Delete"><i class="fas fa-trash"></i></button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
 
-        if (type === "detection" && this.artifactsLayer) {
-            if (isVisible) {
-                this.map.addLayer(this.artifactsLayer);
-            } else {
-                this.map.removeLayer(this.artifactsLayer);
+    async handleHistoryAction(id, action) {
+        try {
+            if (action === 'open') {
+                bootstrap.Modal.getInstance(document.getElementById('historyModal'))?.hide();
+                await this.openProject(id);
+            } else if (action === 'rename') {
+                this.editProjectName(id);
+            } else if(action === 'delete') {
+                if (window.confirm('Delete this project and its stored image? This cannot be undone.')) {
+                    await this.deleteProject(id);
+                    await this.renderHistoryList();
+                    this.showNotification('Project deleted', 'info');
+                }
             }
+        } catch (error) {
+            console.error('History action failed:', error);
+            this.showNotification('History action failed: ' + error.message, 'error');
         }
     }
 
-    toggleBaseMap() {
-        const checkbox = document.getElementById('showBaseMap');
-        const isVisible = checkbox?.checked || false;
+    editProjectName(id) {
+        const nameElement = document.querySelector(`#historyList .history-item[data-id="${id}"] .history-name`);
+        if (!nameElement || nameElement.querySelector('input')) {
+            return;
+        }
         
-        if (this.imageOverlay) {
-            if (isVisible) {
-                this.map.addLayer(this.imageOverlay);
-            } else {
-                this.map.removeLayer(this.imageOverlay);
+        // Names are edited in place; Enter or leaving the field saves, Escape cancels
+        const current = nameElement.textContent;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'form-control form-control-sm';
+        input.value = current;
+        input.setAttribute('aria-label', 'Project name');
+        nameElement.replaceChildren(input);
+        input.focus();
+        input.select();
+        
+        let finished = false;
+        const finish = async (save) => {
+            if (finished) {
+                return;
             }
-        }
+            finished = true;
+            
+            const name = input.value.trim();
+            try {
+                if (save && name && name !== current) {
+                    await this.renameProject(id, name);
+                }
+                await this.renderHistoryList();
+            } catch (error) {
+                console.error('Rename failed:', error);
+                this.showNotification('Rename failed: ' + error.message, 'error');
+            }
+        };
+        
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                // Keep Escape from also closing the history modal
+                e.preventDefault();
+                e.stopPropagation();
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+    
+    escapeHTML(value) {
+        return String(value ?? '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
     }
 
-    fitToBounds() {
-        if (this.imageOverlay && this.imageBounds) {
-            this.map.fitBounds(this.imageBounds);
-            this.showNotification('Map fitted to image bounds', 'success');
-        } else {
-            this.showNotification('No image loaded', 'warning');
+    // Comparison Methods
+    async showCompare() {
+        const modalElement = document.getElementById('compareModal');
+        if (!modalElement) {
+            return;
+        }
+        
+        let projects;
+        try {
+            projects = await this.listProjects();
+        } catch (error) {
+            this.showNotification('History unavailable: ' + error.message, 'error');
+            return;
+        }
+        
+        if (projects.length < 2) {
+            this.showNotification('Save at least two analyses to compare them', 'warning');
+            return;
         }
+        
+        // Oldest first so the default pair reads "earlier season → latest"
+        const options = [...projects].reverse().map(project => `
+            <option value="${project.id}">${this.escapeHTML(project.name)} · ${new Date(project.updated_at).toLocaleDateString()}</option>
+        `).join('');
+        
+        const selectA = document.getElementById('compareProjectA');
+        const selectB = document.getElementById('compareProjectB');
+        selectA.innerHTML = options;
+        selectB.innerHTML = options;
+        selectA.value = String(projects[1].id);
+        selectB.value = String(projects[0].id);
+        
+        bootstrap.Modal.getOrCreateInstance(modalElement).show();
     }
-
-    updateMapScale() {
-        const scaleElement = document.getElementById('mapScale');
-        if (scaleElement) {
-            const zoom = this.map.getZoom();
-            const scale = Math.round(591657550 / Math.pow(2, zoom - 1));
-            scaleElement.textContent = `1:${scale.toLocaleString()}`;
+    
+    async startComparison() {
+        const idA = parseInt(document.getElementById('compareProjectA').value, 10);
+        const idB = parseInt(document.getElementById('compareProjectB').value, 10);
+        
+        if (idA === idB) {
+            this.showNotification('Choose two different analyses', 'warning');
+            return;
+        }
+        
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('compareModal')).hide();
+        this.closeComparison();
+        this.showLoading('Comparing', 'Loading analyses for comparison...');
+        
+        try {
+            const sides = await Promise.all([idA, idB].map(id => this.loadComparisonSide(id)));
+            this.openComparison(sides);
+        } catch (error) {
+            console.error('Comparison failed:', error);
+            this.showNotification('Could not load the analyses: ' + error.message, 'error');
+        } finally {
+            this.hideLoading();
         }
     }
-
-    viewResults(type) {
-        const modal = new bootstrap.Modal(document.getElementById('resultsModal'));
-        const modalTitle = document.getElementById('modalTitle');
-        const modalBody = document.getElementById('modalBody');
+    
+    async loadComparisonSide(id) {
+        const project = await this.historyRequest('readonly', store => store.get(id));
+        if (!project) {
+            throw new Error('Project not found');
+        }
         
-        modalTitle.textContent = `${type.charAt(0).toUpperCase() + type.slice(1)} Results`;
+        const imageBlob = project.preview_blob || project.image_blob;
+        const imageUrl = imageBlob ? URL.createObjectURL(imageBlob) : null;
+        const size = imageUrl ? await this.getImageNaturalSize(imageUrl) : null;
         
-        let content = '';
+        // Artifact positions depend on that project's own bounds and georeference
+        const artifacts = this.withProjectContext(project, size, () => {
+            return (project.detection?.artifacts || [])
+                .filter(artifact => this.getReviewStatus(artifact) !== 'rejected')
+                .map(artifact => ({ artifact: artifact, center: this.getArtifactCenter(artifact) }));
+        });
         
-        if (type === 'detection' && this.processingResults?.detection) {
-            const artifacts = this.processingResults.detection.artifacts || [];
+        return {
+            project: project,
+            imageUrl: imageUrl,
+            maskUrl: project.segmentation ? await this.getSegmentationMaskUrl(project.segmentation) : null,
+            artifacts: artifacts
+        };
+    }
+    
+    getImageNaturalSize(url) {
+        return new Promise(resolve => {
+            const image = new Image();
+            image.onload = () => resolve({ width: image.naturalWidth, height: image.naturalHeight });
+            image.onerror = () => resolve(null);
+            image.src = url;
+        });
+    }
+    
+    withProjectContext(project, size, callback) {
+        // The pixel helpers read the open project's state; swap it in synchronously
+        const saved = {
+            currentImage: this.currentImage,
+            imageBounds: this.imageBounds,
+            imageSize: this.imageSize,
+            processingResults: this.processingResults
+        };
+        
+        this.currentImage = { georeference: project.georeference };
+        this.imageBounds = project.bounds;
+        this.imageSize = size;
+        this.processingResults = {
+            segmentation: project.segmentation || null,
+            detection: project.detection || null,
+            statistics: project.statistics || null
+        };
+        
+        try {
+            return callback();
+        } finally {
+            Object.assign(this, saved);
+        }
+    }
+    
+    openComparison(sides) {
+        const view = document.getElementById('compareView');
+        if (!view) {
+            return;
+        }
+        view.style.display = 'flex';
+        
+        const maps = ['compareMapA', 'compareMapB'].map((elementId, index) => {
+            const side = sides[index];
+            const map = L.map(elementId, {
+                center: this.settings.mapCenter,
+                zoom: this.settings.mapZoom,
+                attributionControl: index === 1
+            });
+            this.createBaseLayer().addTo(map);
             
-            content = `
-                <div style="max-height: 400px; overflow-y: auto;">
-                    <h6 class="mb-3">Total Artifacts Detected: ${artifacts.length}</h6>
-                    <table class="table table-striped">
-                        <thead>
-                            <tr>
-                                <th>ID</th>
-                                <th>Type</th>
-                                <th>Confidence</th>
-                                <th>Area (pixels)</th>
-                            </tr>
-                        </thead>
-                        <tbody>
-            `;
+            if (side.imageUrl && side.project.bounds) {
+                L.imageOverlay(side.imageUrl, side.project.bounds, { opacity: this.settings.overlayOpacity }).addTo(map);
+            }
             
-            artifacts.forEach(artifact => {
-                content += `
-                    <tr>
-                        <td>${artifact.id || 'N/A'}</td>
-                        <td><span class="badge bg-info">${artifact.type || 'Unknown'}</span></td>
-                        <td>${(artifact.confidence * 100)?.toFixed(1) || 0}%</td>
-                        <td>${artifact.area?.toFixed(2) || 0}</td>
-                    </tr>
-                `;
-            });
+            if (side.maskUrl && side.project.bounds) {
+                L.imageOverlay(side.maskUrl, side.project.bounds, {
+                    opacity: this.segmentationOpacity,
+                    className: 'segmentation-overlay'
+                }).addTo(map);
+            }
             
-            content += `
-                        </tbody>
-                    </table>
-                </div>
-            `;
+            side.markers = L.layerGroup().addTo(map);
+            return map;
+        });
+        
+        this.comparison = { sides: sides, maps: maps, syncing: false, diff: null };
+        
+        // Either map drives the other so swipe and side-by-side stay aligned
+        maps.forEach((map, index) => {
+            const other = maps[1 - index];
+            map.on('move', () => {
+                if (this.comparison.syncing) {
+                    return;
+                }
+                this.comparison.syncing = true;
+                other.setView(map.getCenter(), map.getZoom(), { animate: false });
+                this.comparison.syncing = false;
+            });
+        });
+        
+        const bounds = sides
+            .map(side => side.project.bounds)
+            .filter(Boolean)
+            .reduce((all, box) => all ? all.extend(box) : L.latLngBounds(box), null);
+        if (bounds) {
+            maps[0].fitBounds(bounds);
+        }
+        
+        document.getElementById('compareTitleA').textContent = sides[0].project.name;
+        document.getElementById('compareTitleB').textContent = sides[1].project.name;
+        
+        this.setCompareMode(document.querySelector('[data-compare-mode].active')?.dataset.compareMode || 'swipe');
+        this.updateComparison();
+    }
+    
+    setCompareMode(mode) {
+        const container = document.getElementById('compareMaps');
+        if (!container) {
+            return;
+        }
+        
+        container.classList.toggle('swipe', mode === 'swipe');
+        container.classList.toggle('side-by-side', mode === 'side');
+        document.querySelectorAll('[data-compare-mode]').forEach(button => {
+            button.classList.toggle('active', button.dataset.compareMode === mode);
+        });
+        
+        this.comparison?.maps.forEach(map => map.invalidateSize());
+    }
+    
+    setCompareSwipe(percent) {
+        const container = document.getElementById('compareMaps');
+        if (container) {
+            container.style.setProperty('--swipe', `${percent}%`);
+        }
+    }
+    
+    updateComparison() {
+        if (!this.comparison) {
+            return;
+        }
+        
+        const radius = parseFloat(document.getElementById('compareMatchRadius')?.value) || 2;
+        const [sideA, sideB] = this.comparison.sides;
+        const diff = this.matchArtifacts(sideA.artifacts, sideB.artifacts, radius);
+        this.comparison.diff = diff;
+        
+        const colors = { appeared: '#27ae60', disappeared: '#e74c3c', persisted: '#3498db' };
+        const addMarker = (side, item, status) => {
+            L.circleMarker(item.center, {
+                radius: 6,
+                color: colors[status],
+                fillColor: colors[status],
+                fillOpacity: 0.7,
+                weight: 2
+            })
+                .bindTooltip(`#${item.artifact.id} ${this.escapeHTML(item.artifact.type || 'Unknown')} · ${status}`)
+                .addTo(side.markers);
+        };
+        
+        sideA.markers.clearLayers();
+        sideB.markers.clearLayers();
+        diff.disappeared.forEach(item => addMarker(sideA, item, 'disappeared'));
+        diff.appeared.forEach(item => addMarker(sideB, item, 'appeared'));
+        diff.persisted.forEach(pair => {
+            addMarker(sideA, pair.a, 'persisted');
+            addMarker(sideB, pair.b, 'persisted');
+        });
+        
+        this.renderComparisonSummary(diff);
+    }
+    
+    matchArtifacts(artifactsA, artifactsB, radius) {
+        const placedA = artifactsA.filter(item => item.center);
+        const placedB = artifactsB.filter(item => item.center);
+        
+        // Greedy nearest-pair matching: the closest pairs within the radius are taken first
+        const pairs = [];
+        placedA.forEach((a, i) => {
+            placedB.forEach((b, j) => {
+                const distance = L.latLng(a.center).distanceTo(b.center);
+                if (distance <= radius) {
+                    pairs.push({ i: i, j: j, distance: distance });
+                }
+            });
+        });
+        pairs.sort((x, y) => x.distance - y.distance);
+        
+        const usedA = new Set();
+        const usedB = new Set();
+        const persisted = [];
+        pairs.forEach(({ i, j, distance }) => {
+            if (!usedA.has(i) && !usedB.has(j)) {
+                usedA.add(i);
+                usedB.add(j);
+                persisted.push({ a: placedA[i], b: placedB[j], distance: distance });
+            }
+        });
+        
+        return {
+            persisted: persisted,
+            disappeared: placedA.filter((item, i) => !usedA.has(i)),
+            appeared: placedB.filter((item, j) => !usedB.has(j)),
+            unplaced: artifactsA.length - placedA.length + artifactsB.length - placedB.length
+        };
+    }
+    
+    renderComparisonSummary(diff) {
+        const summary = document.getElementById('compareSummary');
+        if (!summary) {
+            return;
         }
-        else if (type === 'segmentation' && this.processingResults?.segmentation) {
-            const data = this.processingResults.segmentation;
-            
-            content = `
-                <div class="row">
-                    <div class="col-md-4">
-                        <div class="card">
-                            <div class="card-body text-center">
-                                <h1 class="text-warning">${data.ruins_percentage?.toFixed(1) || 0}%</h1>
-                                <p class="card-text"><i class="fas fa-landmark"></i> Ruins</p>
-                            </div>
-                        </div>
-                    </div>
-                    <div class="col-md-4">
-                        <div class="card">
-                            <div class="card-body text-center">
-                                <h1 class="text-success">${data.vegetation_percentage?.toFixed(1) || 0}%</h1>
-                                <p class="card-text"><i class="fas fa-leaf"></i> Vegetation</p>
-                            </div>
-                        </div>
-                    </div>
-                    <div class="col-md-4">
-                        <div class="card">
-                            <div class="card-body text-center">
-                                <h1 class="text-info">${data.water_percentage?.toFixed(1) || 0}%</h1>
-                                <p class="card-text"><i class="fas fa-water"></i> Water</p>
-                            </div>
-                        </div>
-                    </div>
-                </div>
-            `;
+        
+        const [a, b] = this.comparison.sides.map(side => side.project);
+        const classes = [
+            ['Ruins', 'ruins_percentage'],
+            ['Vegetation', 'vegetation_percentage'],
+            ['Water', 'water_percentage']
+        ];
+        
+        const formatDelta = (delta, unit) => {
+            const color = delta > 0 ? 'text-success' : delta < 0 ? 'text-danger' : 'text-muted';
+            return `<span class="${color}">${delta > 0 ? '+' : ''}${unit ? delta.toFixed(1) : delta}${unit}</span>`;
+        };
+        
+        const rows = classes.map(([label, key]) => {
+            if (!a.segmentation || !b.segmentation) {
+                return '';
+            }
+            const valueA = Number(a.segmentation[key] || 0);
+            const valueB = Number(b.segmentation[key] || 0);
+            return `<tr><td>${label}</td><td>${valueA.toFixed(1)}%</td><td>${valueB.toFixed(1)}%</td><td>${formatDelta(valueB - valueA, '%')}</td></tr>`;
+        }).join('');
+        
+        const countA = this.comparison.sides[0].artifacts.length;
+        const countB = this.comparison.sides[1].artifacts.length;
+        
+        const item = (entry, label, detail = '') => `
+            <li class="compare-item" data-lat="${entry.center[0]}" data-lng="${entry.center[1]}">
+                ${label} ${this.escapeHTML(entry.artifact.type || 'Unknown')}${detail}
+            </li>
+        `;
+        
+        const section = (title, icon, color, items) => `
+            <h6 class="mt-3 mb-2" style="color: ${color};">
+                <i class="fas ${icon} me-2"></i>${title} (${items.length})
+            </h6>
+            <ul class="compare-list">${items.join('') || '<li class="text-muted">None</li>'}</ul>
+        `;
+        
+        summary.innerHTML = `
+            <table class="table table-sm table-dark mb-2">
+                <thead>
+                    <tr><th></th><th>A</th><th>B</th><th>Change</th></tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                    <tr><td>Artifacts</td><td>${countA}</td><td>${countB}</td><td>${formatDelta(countB - countA, '')}</td></tr>
+                </tbody>
+            </table>
+            ${!a.segmentation || !b.segmentation ? '<small class="d-block text-muted">Segmentation missing on one side; land cover is not compared.</small>' : ''}
+            ${diff.unplaced ? `<small class="d-block text-muted">${diff.unplaced} artifacts without a map position were left out.</small>` : ''}
+            ${section('Appeared', 'fa-plus-circle', '#2ecc71', diff.appeared.map(entry => item(entry, `B#${entry.artifact.id}`)))}
+            ${section('Disappeared', 'fa-minus-circle', '#e74c3c', diff.disappeared.map(entry => item(entry, `A#${entry.artifact.id}`)))}
+            ${section('Persisted', 'fa-equals', '#3498db', diff.persisted.map(pair => item(
+                pair.b,
+                `A#${pair.a.artifact.id} → B#${pair.b.artifact.id}`,
+                `${pair.a.artifact.type !== pair.b.artifact.type ? ` <small class="text-warning">(was ${this.escapeHTML(pair.a.artifact.type || 'Unknown')})</small>` : ''} <small class="text-muted">${pair.distance.toFixed(1)} m</small>`
+            )))}
+        `;
+    }
+    
+    focusComparison(lat, lng) {
+        const map = this.comparison?.maps[0];
+        if (map) {
+            map.setView([lat, lng], Math.max(map.getZoom(), 19));
         }
-        else if (type === 'combined' && this.processingResults?.statistics) {
-            const stats = this.processingResults.statistics;
-            const seg = this.processingResults.segmentation;
-            const det = this.processingResults.detection;
-            
-            content = `
-                <div class="container-fluid">
-                    <div class="row mb-4">
-                        <div class="col-md-6">
-                            <div class="card">
-                                <div class="card-header bg-primary text-white">
-                                    <h6 class="mb-0"><i class="fas fa-chart-bar"></i> Analysis Summary</h6>
-                                </div>
-                                <div class="card-body">
-                                    <div class="row">
-                                        <div class="col-6">
-                                            <div class="text-center p-2">
-                                                <h3 class="text-warning">${stats.ruins_coverage?.toFixed(1) || 0}%</h3>
-                                                <small>Ruins Coverage</small>
-                                            </div>
-                                        </div>
-                                        <div class="col-6">
-                                            <div class="text-center p-2">
-                                                <h3 class="text-success">${stats.artifact_count || 0}</h3>
-                                                <small>Artifacts Found</small>
-                                            </div>
-                                        </div>
-                                        <div class="col-6">
-                                            <div class="text-center p-2">
-                                                <h3 class="text-info">${stats.vegetation_coverage?.toFixed(1) || 0}%</h3>
-                                                <small>Vegetation</small>
-                                            </div>
-                                        </div>
-                                        <div class="col-6">
-                                            <div class="text-center p-2">
-                                                <h3 class="text-primary">${stats.water_coverage?.toFixed(1) || 0}%</h3>
-                                                <small>Water Bodies</small>
-                                            </div>
-                                        </div>
-                                    </div>
-                                </div>
-                            </div>
-                        </div>
-                        <div class="col-md-6">
-                            <div class="card">
-                                <div class="card-header bg-success text-white">
-                                    <h6 class="mb-0"><i class="fas fa-info-circle"></i> Processing Details</h6>
-                                </div>
-                                <div class="card-body">
-                                    <p><strong>Image Name:</strong> ${stats.image_name}</p>
-                                    <p><strong>Processing Mode:</strong> ${stats.processing_mode}</p>
-                                    <p><strong>Timestamp:</strong> ${new Date(stats.timestamp).toLocaleString()}</p>
-                                    <p><strong>Summary:</strong> ${stats.summary}</p>
-                                </div>
-                            </div>
-                        </div>
-                    </div>
-                    
-                    <div class="row">
-                        <div class="col-12">
-                            <div class="card">
-                                <div class="card-header bg-warning text-dark">
-                                    <h6 class="mb-0"><i class="fas fa-chart-pie"></i> Detailed Results</h6>
-                                </div>
-                                <div class="card-body">
-                                    <p class="text-center"><strong>Complete archaeological site analysis completed successfully!</strong></p>
-                                </div>
-                            </div>
-                        </div>
-                    </div>
-                </div>
-            `;
+    }
+    
+    closeComparison() {
+        if (!this.comparison) {
+            return;
         }
         
-        modalBody.innerHTML = content || '<p class="text-center py-4">No results available.</p>';
-        modal.show();
+        this.comparison.maps.forEach(map => map.remove());
+        this.comparison.sides.forEach(side => {
+            if (side.imageUrl) {
+                URL.revokeObjectURL(side.imageUrl);
+            }
+        });
+        this.comparison = null;
+        
+        const view = document.getElementById('compareView');
+        if (view) {
+            view.style.display = 'none';
+        }
     }
-
+    
     // Mobile Control Panel Methods
     toggleControlPanel() {
         const controlPanel = document.querySelector('.control-panel');
@@ -1323,33 +7569,79 @@ class ArchaeologicalMapper {
             fileUploadArea.addEventListener('click', () => fileInput.click());
             
             fileInput.addEventListener('change', (e) => {
-                if (e.target.files.length > 0) {
-                    const file = e.target.files[0];
-                    this.selectedFile = file;
-                    
-                    // Update UI
-                    if (uploadBtn) {
-                        uploadBtn.disabled = false;
-                        uploadBtn.innerHTML = `
-                            <i class="fas fa-cloud-upload-alt me-2"></i> 
-                            Upload "${file.name.length > 20 ? file.name.substring(0, 20) + '...' : file.name}"
-                        `;
+                this.handleSelectedFiles(e.target.files);
+                // Allow selecting the same files again later
+                e.target.value = '';
+            });
+            
+            // Drag and drop
+            ['dragenter', 'dragover'].forEach(eventName => {
+                fileUploadArea.addEventListener(eventName, (e) => {
+                    e.preventDefault();
+                    fileUploadArea.classList.add('drag-over');
+                });
+            });
+            
+            ['dragleave', 'drop'].forEach(eventName => {
+                fileUploadArea.addEventListener(eventName, (e) => {
+                    e.preventDefault();
+                    fileUploadArea.classList.remove('drag-over');
+                });
+            });
+            
+            fileUploadArea.addEventListener('drop', (e) => {
+                this.handleSelectedFiles(e.dataTransfer.files);
+            });
+        }
+        
+        // Batch queue controls
+        const batchToggleBtn = document.getElementById('batchToggleBtn');
+        const batchRetryBtn = document.getElementById('batchRetryBtn');
+        const batchClearBtn = document.getElementById('batchClearBtn');
+        const batchConcurrency = document.getElementById('batchConcurrency');
+        const batchQueueList = document.getElementById('batchQueueList');
+        
+        if (batchToggleBtn) {
+            batchToggleBtn.addEventListener('click', () => {
+                this.toggleBatchQueue();
+            });
+        }
+        
+        if (batchRetryBtn) {
+            batchRetryBtn.addEventListener('click', () => {
+                this.retryBatchItems();
+            });
+        }
+        
+        if (batchClearBtn) {
+            batchClearBtn.addEventListener('click', () => {
+                this.clearFinishedBatchItems();
+            });
+        }
+        
+        if (batchConcurrency) {
+            batchConcurrency.addEventListener('change', (e) => {
+                this.batch.concurrency = parseInt(e.target.value, 10) || 1;
+                this.pumpBatchQueue();
+            });
+        }
+        
+        if (batchQueueList) {
+            batchQueueList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-action]');
+                const row = e.target.closest('.batch-item');
+                if (!button || !row) {
+                    return;
+                }
+                
+                const id = parseInt(row.dataset.id, 10);
+                if (button.dataset.action === 'retry') {
+                    this.retryBatchItems(id);
+                } else if (button.dataset.action === 'view') {
+                    const item = this.batch.items.find(entry => entry.id === id);
+                    if (item?.projectId) {
+                        this.openProject(item.projectId);
                     }
-                    
-                    // Update upload area
-                    fileUploadArea.innerHTML = `
-                        <div class="text-center">
-                            <i class="fas fa-file-image fa-3x mb-3 text-success"></i>
-                            <p class="mb-1 fw-bold" style="font-size: 0.9rem;">
-                                ${file.name.length > 25 ? file.name.substring(0, 25) + '...' : file.name}
-                            </p>
-                            <small class="text-light" style="opacity: 0.6;">
-                                ${(file.size / (1024 * 1024)).toFixed(2)} MB
-                            </small>
-                        </div>
-                    `;
-                    
-                    this.showNotification(`File selected: ${file.name}`, 'success');
                 }
             });
         }
@@ -1401,19 +7693,19 @@ class ArchaeologicalMapper {
         
         if (exportGeoJSONBtn) {
             exportGeoJSONBtn.addEventListener('click', () => {
-                this.showNotification("Exporting GeoJSON data...", "info");
+                this.exportGeoJSON();
             });
         }
         
         if (exportCSVBtn) {
             exportCSVBtn.addEventListener('click', () => {
-                this.showNotification("Exporting CSV report...", "info");
+                this.exportCSV();
             });
         }
         
         if (exportPDFBtn) {
             exportPDFBtn.addEventListener('click', () => {
-                this.showNotification("Generating PDF report...", "info");
+                this.exportPDF();
             });
         }
         
@@ -1425,6 +7717,97 @@ class ArchaeologicalMapper {
             });
         }
         
+        // Georeferencing
+        const georefBtn = document.getElementById('georefBtn');
+        const applyGeorefBtn = document.getElementById('applyGeorefBtn');
+        const closeGeorefBtn = document.getElementById('closeGeorefBtn');
+        
+        if (georefBtn) {
+            georefBtn.addEventListener('click', () => {
+                this.startGeoreferencing();
+            });
+        }
+        
+        if (applyGeorefBtn) {
+            applyGeorefBtn.addEventListener('click', () => {
+                this.applyGeoreference();
+            });
+        }
+        
+        if (closeGeorefBtn) {
+            closeGeorefBtn.addEventListener('click', () => {
+                this.closeGeoreferencing();
+            });
+        }
+        
+        // Excavation grid
+        const gridBtn = document.getElementById('gridBtn');
+        const gridPanel = document.getElementById('gridPanel');
+        
+        if (gridBtn) {
+            gridBtn.addEventListener('click', () => {
+                this.openGridPanel();
+            });
+        }
+        
+        if (gridPanel) {
+            gridPanel.addEventListener('click', (e) => {
+                const action = e.target.closest('[data-grid]')?.dataset.grid;
+                const actions = {
+                    close: () => this.closeGridPanel(),
+                    pick: () => this.startGridOriginPick(),
+                    generate: () => this.generateGrid(),
+                    remove: () => this.removeGrid(),
+                    geojson: () => this.exportGrid('geojson'),
+                    gpx: () => this.exportGrid('gpx')
+                };
+                actions[action]?.();
+            });
+        }
+        
+        // Detection review
+        const reviewBtn = document.getElementById('reviewBtn');
+        const closeReviewBtn = document.getElementById('closeReviewBtn');
+        const reviewPanel = document.getElementById('reviewPanel');
+        const confidenceThreshold = document.getElementById('confidenceThreshold');
+        
+        if (reviewBtn) {
+            reviewBtn.addEventListener('click', () => {
+                this.startReview();
+            });
+        }
+        
+        if (closeReviewBtn) {
+            closeReviewBtn.addEventListener('click', () => {
+                this.closeReview();
+            });
+        }
+        
+        if (reviewPanel) {
+            reviewPanel.addEventListener('click', (e) => {
+                const action = e.target.closest('[data-review]')?.dataset.review;
+                const type = e.target.closest('[data-type]')?.dataset.type;
+                
+                if (action === 'prev') {
+                    this.reviewGoTo(this.review.index - 1);
+                } else if (action === 'next') {
+                    this.reviewGoTo(this.review.index + 1);
+                } else if (action === 'relabel') {
+                    this.relabelArtifact(document.getElementById('reviewTypeInput')?.value);
+                } else if (action) {
+                    this.setReviewStatus(action);
+                } else if (type) {
+                    this.relabelArtifact(type);
+                }
+            });
+        }
+        
+        if (confidenceThreshold) {
+            confidenceThreshold.addEventListener('input', (e) => {
+                this.setConfidenceThreshold(parseInt(e.target.value, 10) / 100);
+            });
+        }
+        
         // Layer toggles
         const showSegmentation = document.getElementById('showSegmentation');
         const showDetection = document.getElementById('showDetection');
@@ -1436,12 +7819,43 @@ class ArchaeologicalMapper {
             });
         }
         
+        const segmentationOpacity = document.getElementById('segmentationOpacity');
+        if (segmentationOpacity) {
+            segmentationOpacity.addEventListener('input', (e) => {
+                this.setSegmentationOpacity(parseInt(e.target.value, 10) / 100);
+            });
+        }
+        
         if (showDetection) {
             showDetection.addEventListener('change', () => {
                 this.toggleOverlay('detection');
             });
         }
         
+        ['showHeatmap', 'showClusters'].forEach(id => {
+            const toggle = document.getElementById(id);
+            if (toggle) {
+                toggle.addEventListener('change', () => {
+                    this.toggleOverlay(id === 'showHeatmap' ? 'heatmap' : 'clusters');
+                });
+            }
+        });
+        
+        const heatmapRadius = document.getElementById('heatmapRadius');
+        const heatmapWeight = document.getElementById('heatmapWeight');
+        
+        if (heatmapRadius) {
+            heatmapRadius.addEventListener('input', (e) => {
+                this.setHeatmapOptions({ radius: parseInt(e.target.value, 10) });
+            });
+        }
+        
+        if (heatmapWeight) {
+            heatmapWeight.addEventListener('change', (e) => {
+                this.setHeatmapOptions({ weight: e.target.value });
+            });
+        }
+        
         if (showBaseMap) {
             showBaseMap.addEventListener('change', () => {
                 this.toggleBaseMap();
@@ -1452,10 +7866,167 @@ class ArchaeologicalMapper {
         const downloadReportBtn = document.getElementById('downloadReportBtn');
         if (downloadReportBtn) {
             downloadReportBtn.addEventListener('click', () => {
-                this.showNotification('Downloading report...', 'info');
+                this.exportPDF();
+            });
+        }
+        
+        // History
+        const navHistory = document.getElementById('navHistory');
+        const historySearch = document.getElementById('historySearch');
+        const historyList = document.getElementById('historyList');
+        
+        if (navHistory) {
+            navHistory.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showHistory();
+            });
+        }
+        
+        if (historySearch) {
+            historySearch.addEventListener('input', () => {
+                this.renderHistoryList();
+            });
+        }
+        
+        if (historyList) {
+            historyList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-action]');
+                const item = e.target.closest('.history-item');
+                if (button && item) {
+                    this.handleHistoryAction(parseInt(item.dataset.id, 10), button.dataset.action);
+                }
+            });
+        }
+        
+        // Comparison
+        const navCompare = document.getElementById('navCompare');
+        const startCompareBtn = document.getElementById('startCompareBtn');
+        const compareView = document.getElementById('compareView');
+        const compareSwipe = document.getElementById('compareSwipe');
+        const compareMatchRadius = document.getElementById('compareMatchRadius');
+        
+        if (navCompare) {
+            navCompare.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showCompare();
+            });
+        }
+        
+        if (startCompareBtn) {
+            startCompareBtn.addEventListener('click', () => {
+                this.startComparison();
+            });
+        }
+        
+        if (compareView) {
+            compareView.addEventListener('click', (e) => {
+                const modeButton = e.target.closest('[data-compare-mode]');
+                const item = e.target.closest('.compare-item');
+                
+                if (modeButton) {
+                    this.setCompareMode(modeButton.dataset.compareMode);
+                } else if (e.target.closest('#closeCompareBtn')) {
+                    this.closeComparison();
+                } else if (item) {
+                    this.focusComparison(parseFloat(item.dataset.lat), parseFloat(item.dataset.lng));
+                }
+            });
+        }
+        
+        if (compareSwipe) {
+            compareSwipe.addEventListener('input', (e) => {
+                this.setCompareSwipe(e.target.value);
+            });
+        }
+        
+        if (compareMatchRadius) {
+            compareMatchRadius.addEventListener('change', () => {
+                this.updateComparison();
+            });
+        }
+        
+        // Settings
+        const navSettings = document.getElementById('navSettings');
+        if (navSettings) {
+            navSettings.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showSettings();
+            });
+        }
+        
+        const saveSettingsBtn = document.getElementById('saveSettingsBtn');
+        if (saveSettingsBtn) {
+            saveSettingsBtn.addEventListener('click', () => {
+                this.saveSettings();
+            });
+        }
+        
+        const resetSettingsBtn = document.getElementById('resetSettingsBtn');
+        if (resetSettingsBtn) {
+            resetSettingsBtn.addEventListener('click', () => {
+                this.resetSettings();
+            });
+        }
+        
+        const testConnectionBtn = document.getElementById('testConnectionBtn');
+        if (testConnectionBtn) {
+            testConnectionBtn.addEventListener('click', () => {
+                this.testSettingsConnection();
+            });
+        }
+        
+        const settingsOverlayOpacity = document.getElementById('settingsOverlayOpacity');
+        if (settingsOverlayOpacity) {
+            settingsOverlayOpacity.addEventListener('input', (e) => {
+                const opacityValue = document.getElementById('settingsOpacityValue');
+                if (opacityValue) {
+                    opacityValue.textContent = `${e.target.value}%`;
+                }
+            });
+        }
+        
+        const useCurrentViewBtn = document.getElementById('settingsUseViewBtn');
+        if (useCurrentViewBtn) {
+            useCurrentViewBtn.addEventListener('click', () => {
+                const center = this.map.getCenter();
+                document.getElementById('settingsCenterLat').value = center.lat.toFixed(6);
+                document.getElementById('settingsCenterLng').value = center.lng.toFixed(6);
+                document.getElementById('settingsZoom').value = this.map.getZoom();
+            });
+        }
+        
+        // Annotation form
+        const saveAnnotationBtn = document.getElementById('saveAnnotationBtn');
+        if (saveAnnotationBtn) {
+            saveAnnotationBtn.addEventListener('click', () => {
+                this.saveAnnotationForm();
+            });
+        }
+        
+        // Closing the form without saving discards a freshly drawn shape
+        const annotationModal = document.getElementById('annotationModal');
+        if (annotationModal) {
+            annotationModal.addEventListener('hidden.bs.modal', () => {
+                this.pendingAnnotation = null;
+            });
+        }
+        
+        // Re-process offline results once the backend is back
+        const reprocessOfflineBtn = document.getElementById('reprocessOfflineBtn');
+        if (reprocessOfflineBtn) {
+            reprocessOfflineBtn.addEventListener('click', () => {
+                this.reprocessOfflineWork();
             });
         }
         
+        // Cancel buttons on progress bars and the loading overlay
+        document.querySelectorAll('.cancel-operation-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.cancelOperation();
+            });
+        });
+        
         // Sidebar toggle
         const sidebarToggle = document.getElementById('sidebarToggle');
         const sidebar = document.getElementById('sidebar');
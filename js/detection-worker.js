@@ -0,0 +1,298 @@
+// Archaeological Site Mapping Application - Offline Detection Worker
+// Finds artifact candidates in an RGBA image: local-contrast and edge
+// segmentation, connected components, then shape/contrast scoring.
+
+// Background window radius (pixels) for local contrast
+const BACKGROUND_RADIUS = 12;
+
+// Candidate size limits, in pixels of the analysed image
+const MIN_AREA = 12;
+const MAX_AREA_FRACTION = 0.05;
+
+const MAX_CANDIDATES = 200;
+
+self.onmessage = (e) => {
+    const { id, width, height, buffer } = e.data;
+
+    try {
+        const pixels = new Uint8ClampedArray(buffer);
+        const result = detectCandidates(pixels, width, height, (value) => {
+            self.postMessage({ id, type: 'progress', value });
+        });
+
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', error: error.message });
+    }
+};
+
+function detectCandidates(pixels, width, height, onProgress) {
+    const total = width * height;
+    const luminance = new Float32Array(total);
+    const valid = new Uint8Array(total);
+
+    for (let i = 0; i < total; i++) {
+        const p = i * 4;
+        luminance[i] = 0.299 * pixels[p] + 0.587 * pixels[p + 1] + 0.114 * pixels[p + 2];
+        valid[i] = pixels[p + 3] === 0 ? 0 : 1;
+    }
+
+    const smoothed = boxBlur(luminance, width, height, 1);
+    onProgress(15);
+
+    const background = boxBlur(smoothed, width, height, BACKGROUND_RADIUS);
+    const gradient = sobelMagnitude(smoothed, width, height);
+    onProgress(35);
+
+    // Thresholds adapt to the image: mean + k * standard deviation
+    const contrast = new Float32Array(total);
+    for (let i = 0; i < total; i++) {
+        contrast[i] = Math.abs(smoothed[i] - background[i]);
+    }
+    const contrastThreshold = Math.max(12, adaptiveThreshold(contrast, valid, 2.0));
+    const edgeThreshold = Math.max(30, adaptiveThreshold(gradient, valid, 2.5));
+
+    const foreground = new Uint8Array(total);
+    for (let i = 0; i < total; i++) {
+        if (valid[i] && (contrast[i] > contrastThreshold || gradient[i] > edgeThreshold)) {
+            foreground[i] = 1;
+        }
+    }
+    onProgress(55);
+
+    // Closing joins fragmented outlines of the same object
+    const closed = erode(dilate(foreground, width, height), width, height);
+    const components = connectedComponents(closed, width, height);
+    onProgress(80);
+
+    const maxArea = total * MAX_AREA_FRACTION;
+    const candidates = [];
+
+    components.forEach(component => {
+        if (component.area < MIN_AREA || component.area > maxArea) {
+            return;
+        }
+
+        const bboxWidth = component.maxX - component.minX + 1;
+        const bboxHeight = component.maxY - component.minY + 1;
+        const fill = component.area / (bboxWidth * bboxHeight);
+        const elongation = Math.max(bboxWidth, bboxHeight) / Math.min(bboxWidth, bboxHeight);
+
+        let contrastSum = 0;
+        let edgeSum = 0;
+        component.pixels.forEach(i => {
+            contrastSum += contrast[i];
+            edgeSum += gradient[i];
+        });
+        const meanContrast = contrastSum / component.area;
+        const meanEdge = edgeSum / component.area;
+
+        // Very thin, sparse shapes are usually noise along texture
+        if (fill < 0.15 && elongation < 4) {
+            return;
+        }
+
+        const shape = elongation >= 4 ? 'linear' : fill >= 0.6 ? 'compact' : 'irregular';
+
+        // Score: stronger contrast, sharper edges and compact shapes rank higher
+        const contrastScore = Math.min(1, meanContrast / (contrastThreshold * 3));
+        const edgeScore = Math.min(1, meanEdge / (edgeThreshold * 2));
+        const shapeScore = shape === 'compact' ? 1 : shape === 'linear' ? 0.8 : 0.6;
+        const confidence = 0.3 + 0.65 * (0.45 * contrastScore + 0.3 * edgeScore + 0.25 * shapeScore);
+
+        candidates.push({
+            type: 'Candidate',
+            classification: 'candidate',
+            shape: shape,
+            confidence: parseFloat(confidence.toFixed(3)),
+            area: component.area,
+            center: [
+                Math.round(component.sumX / component.area),
+                Math.round(component.sumY / component.area)
+            ],
+            bbox: [component.minX, component.minY, bboxWidth, bboxHeight],
+            contrast: parseFloat(meanContrast.toFixed(2))
+        });
+    });
+
+    candidates.sort((a, b) => b.confidence - a.confidence);
+    const artifacts = candidates.slice(0, MAX_CANDIDATES).map((candidate, index) => ({
+        id: index + 1,
+        ...candidate
+    }));
+    onProgress(100);
+
+    return {
+        artifacts: artifacts,
+        total_detected: artifacts.length,
+        candidates_considered: components.length,
+        thresholds: {
+            contrast: parseFloat(contrastThreshold.toFixed(2)),
+            edge: parseFloat(edgeThreshold.toFixed(2))
+        }
+    };
+}
+
+function boxBlur(values, width, height, radius) {
+    // Separable running-sum blur, clamped at the image edges
+    const temp = new Float32Array(values.length);
+    const result = new Float32Array(values.length);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            let n = 0;
+            for (let dx = -radius; dx <= radius; dx++) {
+                const nx = x + dx;
+                if (nx >= 0 && nx < width) {
+                    sum += values[y * width + nx];
+                    n++;
+                }
+            }
+            temp[y * width + x] = sum / n;
+        }
+    }
+
+    for (let x = 0; x < width; x++) {
+        for (let y = 0; y < height; y++) {
+            let sum = 0;
+            let n = 0;
+            for (let dy = -radius; dy <= radius; dy++) {
+                const ny = y + dy;
+                if (ny >= 0 && ny < height) {
+                    sum += temp[ny * width + x];
+                    n++;
+                }
+            }
+            result[y * width + x] = sum / n;
+        }
+    }
+
+    return result;
+}
+
+function sobelMagnitude(values, width, height) {
+    const result = new Float32Array(values.length);
+
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const gx = -values[i - width - 1] - 2 * values[i - 1] - values[i + width - 1]
+                + values[i - width + 1] + 2 * values[i + 1] + values[i + width + 1];
+            const gy = -values[i - width - 1] - 2 * values[i - width] - values[i - width + 1]
+                + values[i + width - 1] + 2 * values[i + width] + values[i + width + 1];
+            result[i] = Math.sqrt(gx * gx + gy * gy);
+        }
+    }
+
+    return result;
+}
+
+function adaptiveThreshold(values, valid, k) {
+    let sum = 0;
+    let sumSq = 0;
+    let n = 0;
+
+    for (let i = 0; i < values.length; i++) {
+        if (valid[i]) {
+            sum += values[i];
+            sumSq += values[i] * values[i];
+            n++;
+        }
+    }
+
+    if (!n) {
+        return Infinity;
+    }
+
+    const mean = sum / n;
+    return mean + k * Math.sqrt(Math.max(0, sumSq / n - mean * mean));
+}
+
+function dilate(mask, width, height) {
+    return morphology(mask, width, height, (count) => count > 0);
+}
+
+function erode(mask, width, height) {
+    return morphology(mask, width, height, (count, neighbours) => count === neighbours);
+}
+
+function morphology(mask, width, height, keep) {
+    const result = new Uint8Array(mask.length);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let count = 0;
+            let neighbours = 0;
+            for (let dy = -1; dy <= 1; dy++) {
+                const ny = y + dy;
+                if (ny < 0 || ny >= height) continue;
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx;
+                    if (nx < 0 || nx >= width) continue;
+                    count += mask[ny * width + nx];
+                    neighbours++;
+                }
+            }
+            result[y * width + x] = keep(count, neighbours) ? 1 : 0;
+        }
+    }
+
+    return result;
+}
+
+function connectedComponents(mask, width, height) {
+    // 8-connected flood fill with an explicit stack
+    const labels = new Int32Array(mask.length);
+    const components = [];
+    const stack = [];
+    let nextLabel = 1;
+
+    for (let start = 0; start < mask.length; start++) {
+        if (!mask[start] || labels[start]) {
+            continue;
+        }
+
+        const component = {
+            area: 0, sumX: 0, sumY: 0,
+            minX: width, minY: height, maxX: 0, maxY: 0,
+            pixels: []
+        };
+        labels[start] = nextLabel;
+        stack.push(start);
+
+        while (stack.length) {
+            const i = stack.pop();
+            const x = i % width;
+            const y = (i - x) / width;
+
+            component.area++;
+            component.sumX += x;
+            component.sumY += y;
+            component.pixels.push(i);
+            if (x < component.minX) component.minX = x;
+            if (x > component.maxX) component.maxX = x;
+            if (y < component.minY) component.minY = y;
+            if (y > component.maxY) component.maxY = y;
+
+            for (let dy = -1; dy <= 1; dy++) {
+                const ny = y + dy;
+                if (ny < 0 || ny >= height) continue;
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx;
+                    if (nx < 0 || nx >= width) continue;
+                    const j = ny * width + nx;
+                    if (mask[j] && !labels[j]) {
+                        labels[j] = nextLabel;
+                        stack.push(j);
+                    }
+                }
+            }
+        }
+
+        components.push(component);
+        nextLabel++;
+    }
+
+    return components;
+}
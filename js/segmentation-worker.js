@@ -0,0 +1,181 @@
+// Archaeological Site Mapping Application - Offline Segmentation Worker
+// Classifies every pixel of an RGBA image into background (0), ruins (1),
+// vegetation (2) or water (3) using color indices and local texture.
+
+const CLASS_BACKGROUND = 0;
+const CLASS_RUINS = 1;
+const CLASS_VEGETATION = 2;
+const CLASS_WATER = 3;
+
+// Texture window radius (pixels) for the local standard deviation
+const TEXTURE_RADIUS = 3;
+
+self.onmessage = (e) => {
+    const { id, width, height, buffer } = e.data;
+
+    try {
+        const pixels = new Uint8ClampedArray(buffer);
+        const result = segmentImage(pixels, width, height, (value) => {
+            self.postMessage({ id, type: 'progress', value });
+        });
+
+        self.postMessage({ id, type: 'result', result }, [result.mask.data.buffer]);
+    } catch (error) {
+        self.postMessage({ id, type: 'error', error: error.message });
+    }
+};
+
+function segmentImage(pixels, width, height, onProgress) {
+    const total = width * height;
+    const luminance = new Float32Array(total);
+
+    for (let i = 0; i < total; i++) {
+        const p = i * 4;
+        luminance[i] = 0.299 * pixels[p] + 0.587 * pixels[p + 1] + 0.114 * pixels[p + 2];
+    }
+    onProgress(20);
+
+    const texture = localStandardDeviation(luminance, width, height, TEXTURE_RADIUS);
+    onProgress(45);
+
+    const classes = new Uint8Array(total);
+
+    for (let i = 0; i < total; i++) {
+        const p = i * 4;
+
+        // Fully transparent pixels (e.g. GeoTIFF nodata) are not part of the site
+        if (pixels[p + 3] === 0) {
+            classes[i] = CLASS_BACKGROUND;
+            continue;
+        }
+
+        classes[i] = classifyPixel(pixels[p], pixels[p + 1], pixels[p + 2], luminance[i], texture[i]);
+    }
+    onProgress(75);
+
+    // A 3x3 majority filter removes single-pixel speckle
+    const mask = majorityFilter(classes, width, height);
+    onProgress(95);
+
+    const counts = [0, 0, 0, 0];
+    let analyzed = 0;
+    for (let i = 0; i < total; i++) {
+        if (pixels[i * 4 + 3] !== 0) {
+            counts[mask[i]]++;
+            analyzed++;
+        }
+    }
+
+    const percentage = (count) => analyzed ? parseFloat((count / analyzed * 100).toFixed(2)) : 0;
+
+    return {
+        ruins_percentage: percentage(counts[CLASS_RUINS]),
+        vegetation_percentage: percentage(counts[CLASS_VEGETATION]),
+        water_percentage: percentage(counts[CLASS_WATER]),
+        pixels_analyzed: analyzed,
+        class_pixels: {
+            background: counts[CLASS_BACKGROUND],
+            ruins: counts[CLASS_RUINS],
+            vegetation: counts[CLASS_VEGETATION],
+            water: counts[CLASS_WATER]
+        },
+        mask: { width, height, data: mask }
+    };
+}
+
+function classifyPixel(r, g, b, lum, std) {
+    const sum = r + g + b + 1;
+
+    // Excess green index: strongly positive over live vegetation
+    const excessGreen = (2 * g - r - b) / sum;
+    if (excessGreen > 0.08 && g > 40) {
+        return CLASS_VEGETATION;
+    }
+
+    // Open water is blue-dominant and smooth
+    if (b > g && b > r * 1.15 && std < 12 && lum < 210) {
+        return CLASS_WATER;
+    }
+
+    // Dark, smooth, blue-green pixels are usually turbid or shaded water
+    if (lum < 60 && b >= r && g >= r && std < 6) {
+        return CLASS_WATER;
+    }
+
+    // Exposed stone, mudbrick and rubble: earthy hues with visible texture,
+    // or any strongly textured surface that is not vegetation
+    const earthy = r >= g && g >= b && r - b > 15;
+    if ((earthy && std > 10) || std > 25) {
+        return CLASS_RUINS;
+    }
+
+    return CLASS_BACKGROUND;
+}
+
+function localStandardDeviation(values, width, height, radius) {
+    // Summed-area tables make every window O(1)
+    const stride = width + 1;
+    const sum = new Float64Array(stride * (height + 1));
+    const sumSq = new Float64Array(stride * (height + 1));
+
+    for (let y = 0; y < height; y++) {
+        let rowSum = 0;
+        let rowSumSq = 0;
+        for (let x = 0; x < width; x++) {
+            const v = values[y * width + x];
+            rowSum += v;
+            rowSumSq += v * v;
+            sum[(y + 1) * stride + x + 1] = sum[y * stride + x + 1] + rowSum;
+            sumSq[(y + 1) * stride + x + 1] = sumSq[y * stride + x + 1] + rowSumSq;
+        }
+    }
+
+    const result = new Float32Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+        const y0 = Math.max(0, y - radius);
+        const y1 = Math.min(height, y + radius + 1);
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.max(0, x - radius);
+            const x1 = Math.min(width, x + radius + 1);
+            const n = (x1 - x0) * (y1 - y0);
+            const s = sum[y1 * stride + x1] - sum[y0 * stride + x1] - sum[y1 * stride + x0] + sum[y0 * stride + x0];
+            const sq = sumSq[y1 * stride + x1] - sumSq[y0 * stride + x1] - sumSq[y1 * stride + x0] + sumSq[y0 * stride + x0];
+            const mean = s / n;
+            result[y * width + x] = Math.sqrt(Math.max(0, sq / n - mean * mean));
+        }
+    }
+
+    return result;
+}
+
+function majorityFilter(classes, width, height) {
+    const result = new Uint8Array(classes.length);
+    const votes = [0, 0, 0, 0];
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            votes.fill(0);
+            for (let dy = -1; dy <= 1; dy++) {
+                const ny = y + dy;
+                if (ny < 0 || ny >= height) continue;
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx;
+                    if (nx < 0 || nx >= width) continue;
+                    votes[classes[ny * width + nx]]++;
+                }
+            }
+
+            // Ties keep the pixel's own class
+            let best = classes[y * width + x];
+            for (let c = 0; c < votes.length; c++) {
+                if (votes[c] > votes[best]) {
+                    best = c;
+                }
+            }
+            result[y * width + x] = best;
+        }
+    }
+
+    return result;
+}